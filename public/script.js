@@ -3,38 +3,249 @@ window.submittedSurveys = window.submittedSurveys || new Set()
 let currentDepartment = null
 let currentTenure = null
 let isAdmin = false
+let currentAdmin = null
+let editingSurveyId = null
+let currentSurvey = null
+let isKiosk = false
+let currentLanguage = null
+// What the server knows about the participant's code: { surveyIds, redeemedSurveyIds, expiresAt }
+let participationStatus = null
+const adminSurveys = new Map()
+const surveyTemplates = new Map()
 let currentUser = null
 let sessionTimeout
 const savedResponses = JSON.parse(localStorage.getItem("savedSurveyResponses") || "{}")
 
-// Declare necessary variables
-const DEPARTMENTS = [
-  { value: "HR", label: "Human Resources" },
-  { value: "IT", label: "Information Technology" },
-  { value: "Finance", label: "Finance" },
-]
+// Active departments (names) and tenure bands ({ name, label }), loaded by loadMasterData
+const masterData = { departments: [], tenureBands: [] }
+
+// Question types offered in the survey builder
+const QUESTION_TYPE_LABELS = {
+  text: "Text",
+  radio: "Multiple Choice",
+  checkbox: "Checkbox",
+  star: "Star Rating",
+  nps: "eNPS (0-10)",
+  matrix: "Likert Matrix",
+  slider: "Slider",
+  dropdown: "Dropdown",
+  number: "Number",
+  date: "Date",
+  ranking: "Ranking",
+}
+
+// Types answered from the question's options (for matrix, the shared rating scale;
+// for ranking, the items to put in order)
+const OPTION_QUESTION_TYPES = ["radio", "checkbox", "dropdown", "matrix", "ranking"]
+// Types configured with min/max/step
+const RANGE_QUESTION_TYPES = ["slider", "number"]
+// Types whose options can be shuffled; keep in step with server/models/survey.model.js
+const SHUFFLE_OPTION_QUESTION_TYPES = ["radio", "checkbox", "dropdown", "ranking"]
+// Options that usually belong at the end of a list whatever the order of the rest
+const PINNED_OPTION_PATTERN = /^(other|n\/?a|not applicable|none( of the above)?|prefer not to say|don'?t know)\b/i
+
+// Languages surveys can be taken in; keep in step with server/config/languages.config.js
+const BASE_LANGUAGE = "en"
+const SURVEY_LANGUAGES = {
+  en: "English",
+  hi: "हिन्दी (Hindi)",
+}
+
+// Admin roles that can be assigned from the Admin Accounts section
+const ADMIN_ROLE_LABELS = {
+  owner: "Owner",
+  author: "Survey Author",
+  analyst: "Analyst (read-only results)",
+  manager: "Department Manager",
+  kiosk: "Kiosk Terminal",
+}
+
+// Survey content, account details and uploaded files are written by other people, and the admin
+// session token sits in localStorage, so text from them is escaped wherever it goes into HTML
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;")
+}
+
+// A survey's card color, for style attributes
+function surveyColor(survey) {
+  return escapeHtml(survey.color || "#253074")
+}
+
+// Attach the admin session token to a request
+function authHeaders(headers = {}) {
+  const token = localStorage.getItem("authToken")
+  return token ? { ...headers, Authorization: `Bearer ${token}` } : headers
+}
+
+// fetch wrapper for admin-only endpoints; drops back to the login screen if the session is gone
+async function authFetch(url, options = {}) {
+  const response = await fetch(url, { ...options, headers: authHeaders(options.headers) })
+
+  if (response.status === 401) {
+    clearAdminSession()
+    showAdminLoginScreen()
+    throw new Error("Your session has expired. Please log in again.")
+  }
+
+  return response
+}
+
+function clearAdminSession() {
+  isAdmin = false
+  isKiosk = false
+  currentAdmin = null
+  document.getElementById("participation-code").classList.remove("hidden")
+  localStorage.removeItem("authToken")
+  localStorage.removeItem("isAdmin")
+}
+
+function hasPermission(permission) {
+  return Boolean(currentAdmin?.permissions?.includes(permission))
+}
+
+// Show only the parts of the admin panel the logged-in role may use
+function applyAdminPermissions() {
+  document.querySelectorAll("#admin-panel [data-permission]").forEach((element) => {
+    element.classList.toggle("hidden", !hasPermission(element.dataset.permission))
+  })
+
+  if (hasPermission("users:manage")) {
+    loadAdminUsers()
+  }
+}
+
+// Kiosk accounts can only mint participation codes
+function isKioskUser(user) {
+  return Boolean(user.permissions?.includes("participation:kiosk"))
+}
+
+// Kiosk terminals stay on the participant screens and get a fresh code for every participant
+function openKioskMode(user) {
+  isKiosk = true
+  currentAdmin = user
+
+  document.getElementById("admin-login-container").classList.add("hidden")
+  document.getElementById("admin-panel").classList.add("hidden")
+  document.getElementById("admin-logout").classList.remove("hidden")
+  document.getElementById("participation-code").classList.add("hidden")
+  document.getElementById("user-info-container").classList.remove("hidden")
+}
+
+// Show the admin panel for a verified admin user
+async function openAdminPanel(user) {
+  if (isKioskUser(user)) {
+    openKioskMode(user)
+    return
+  }
+
+  isAdmin = true
+  currentAdmin = user
+
+  document.getElementById("user-info-container").classList.add("hidden")
+  document.getElementById("admin-login-container").classList.add("hidden")
+  document.getElementById("admin-panel").classList.remove("hidden")
+  document.getElementById("admin-logout").classList.remove("hidden")
+
+  applyAdminPermissions()
+  await loadDepartmentSurveys()
+  await displayActiveSurveys()
+
+  if (hasPermission("surveys:write")) {
+    await loadSurveyTemplates()
+  }
+
+  if (hasPermission("participation:issue")) {
+    await loadParticipationBatches()
+  }
+
+  if (hasPermission("masterdata:manage")) {
+    await loadMasterDataAdmin()
+  }
+}
+
+function showAdminLoginScreen() {
+  document.getElementById("admin-panel").classList.add("hidden")
+  document.getElementById("admin-logout").classList.add("hidden")
+  document.getElementById("user-info-container").classList.add("hidden")
+  document.getElementById("admin-login-container").classList.remove("hidden")
+}
+
+// Fill the export filter dropdowns from the admin survey list and the managed departments
+// and tenure bands, keeping the current choices
+function fillExportFilters() {
+  const fill = (selectId, allLabel, options) => {
+    const select = document.getElementById(selectId)
+    if (!select) return
+    const value = select.value
+    select.innerHTML = `<option value="">${allLabel}</option>${options
+      .map(({ value, label }) => `<option value="${escapeHtml(value)}">${escapeHtml(label)}</option>`)
+      .join("")}`
+    select.value = options.some((option) => option.value === value) ? value : ""
+  }
+
+  fill(
+    "export-survey",
+    "All surveys (generic columns)",
+    Array.from(adminSurveys.values(), (survey) => ({ value: survey._id, label: survey.title })),
+  )
+  fill(
+    "export-department",
+    "All departments",
+    masterData.departments.map((department) => ({ value: department, label: department })),
+  )
+  fill(
+    "export-tenure",
+    "All tenures",
+    masterData.tenureBands.map((band) => ({ value: band.name, label: band.label })),
+  )
+}
+
+// Query string for the export filters and format, e.g. "?surveyId=...&from=2024-01-01&format=xlsx"
+function getExportQuery() {
+  const params = new URLSearchParams()
+  const filters = {
+    surveyId: "export-survey",
+    department: "export-department",
+    tenure: "export-tenure",
+    from: "export-from",
+    to: "export-to",
+    format: "export-format",
+  }
+  Object.entries(filters).forEach(([name, inputId]) => {
+    const value = document.getElementById(inputId).value
+    if (value) params.set(name, value)
+  })
+
+  const query = params.toString()
+  return query ? `?${query}` : ""
+}
 
 // Add the missing exportResponses function
 window.exportResponses = async () => {
+  // These formats are laid out around one survey's questions
+  const singleSurveyFormats = { xlsx: "Excel", stats: "SPSS / R" }
+  const format = document.getElementById("export-format").value
+  if (singleSurveyFormats[format] && !document.getElementById("export-survey").value) {
+    alert(`Please choose a survey for the ${singleSurveyFormats[format]} export`)
+    return
+  }
+
   try {
-    const response = await fetch("/api/responses/export")
+    // The server hands out a single-use link so the browser can stream the file straight to disk
+    // rather than holding the whole export in memory first
+    const response = await authFetch(`/api/responses/export/link${getExportQuery()}`, { method: "POST" })
+    const data = await response.json().catch(() => ({}))
 
     if (!response.ok) {
-      throw new Error("Failed to export responses")
+      throw new Error(data.error || "Failed to export responses")
     }
 
-    const blob = await response.blob()
-    const url = window.URL.createObjectURL(blob)
-    const a = document.createElement("a")
-    a.style.display = "none"
-    a.href = url
-    a.download = "survey_responses.csv"
-    document.body.appendChild(a)
-    a.click()
-    window.URL.revokeObjectURL(url)
-    document.body.removeChild(a)
-
-    alert("Responses exported successfully!")
+    window.location.assign(data.url)
   } catch (error) {
     console.error("Export error:", error)
     alert("Failed to export responses: " + error.message)
@@ -55,10 +266,11 @@ window.generateAnalysis = async (event) => {
       button.disabled = true
     }
 
-    const response = await fetch("/api/responses/analysis")
+    const response = await authFetch(`/api/responses/analysis${getExportQuery()}`)
 
     if (!response.ok) {
-      throw new Error("Failed to generate analysis")
+      const data = await response.json().catch(() => ({}))
+      throw new Error(data.error || "Failed to generate analysis")
     }
 
     const blob = await response.blob()
@@ -85,8 +297,30 @@ window.generateAnalysis = async (event) => {
   }
 }
 
+// Check a participation code with the server; throws if it's unknown or expired
+async function fetchParticipationStatus(code) {
+  const response = await fetch("/api/participation/status", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ code }),
+  })
+  const data = await response.json()
+
+  if (!response.ok) {
+    throw new Error(data.error || "Failed to check participation code")
+  }
+  return data
+}
+
+// Whether the participant's code (if any) lets them answer this survey
+function canAnswerSurvey(survey) {
+  if (!survey.requireParticipationToken) return true
+  if (!participationStatus) return false
+  return participationStatus.surveyIds.length === 0 || participationStatus.surveyIds.includes(survey._id)
+}
+
 // Add the new functions for the simplified user flow
-window.startSurvey = () => {
+window.startSurvey = async () => {
   const department = document.getElementById("department").value
   const tenure = document.getElementById("tenure").value
 
@@ -95,13 +329,39 @@ window.startSurvey = () => {
     return
   }
 
+  // Kiosk terminals get a new code for each participant; everyone else may enter the one they were given
+  let code = document.getElementById("participation-code").value.trim()
+  try {
+    if (isKiosk) {
+      const response = await authFetch("/api/participation/kiosk", { method: "POST" })
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.error || "Failed to start kiosk session")
+      }
+      code = data.code
+    }
+    participationStatus = code ? await fetchParticipationStatus(code) : null
+  } catch (error) {
+    console.error("Participation code error:", error)
+    alert(error.message)
+    return
+  }
+
+  if (code) {
+    localStorage.setItem("participationCode", code)
+  } else {
+    localStorage.removeItem("participationCode")
+  }
+
   // Store the user info
   currentDepartment = department
   currentTenure = tenure
+  currentLanguage = document.getElementById("survey-language").value || BASE_LANGUAGE
 
   // Store in localStorage to persist between page refreshes
   localStorage.setItem("surveyDepartment", department)
   localStorage.setItem("surveyTenure", tenure)
+  localStorage.setItem("surveyLanguage", currentLanguage)
 
   // Hide the user info form and show the employee panel
   document.getElementById("user-info-container").classList.add("hidden")
@@ -125,8 +385,8 @@ window.adminLogin = async () => {
   const username = document.getElementById("admin-username").value.trim()
   const password = document.getElementById("admin-password").value
 
-  if (username !== "admin") {
-    alert("Invalid admin credentials")
+  if (!username || !password) {
+    alert("Please enter your username and password")
     return
   }
 
@@ -140,16 +400,11 @@ window.adminLogin = async () => {
 
     const data = await response.json()
 
-    if (response.ok && data.user.role === "admin") {
-      isAdmin = true
-      localStorage.setItem("isAdmin", "true")
+    if (response.ok && data.user.permissions?.length) {
+      localStorage.setItem("authToken", data.token)
 
       // Show admin panel and logout button
-      document.getElementById("admin-login-container").classList.add("hidden")
-      document.getElementById("admin-panel").classList.remove("hidden")
-      document.getElementById("admin-logout").classList.remove("hidden")
-
-      await loadDepartmentSurveys()
+      await openAdminPanel(data.user)
     } else {
       alert("Invalid admin credentials")
     }
@@ -159,9 +414,15 @@ window.adminLogin = async () => {
   }
 }
 
-window.adminLogout = () => {
-  isAdmin = false
-  localStorage.removeItem("isAdmin")
+window.adminLogout = async () => {
+  // Revoke the token server-side; clear locally even if that fails
+  try {
+    await fetch("/api/logout", { method: "POST", headers: authHeaders() })
+  } catch (error) {
+    console.error("Logout error:", error)
+  }
+
+  clearAdminSession()
 
   // Hide admin panel and logout button
   document.getElementById("admin-panel").classList.add("hidden")
@@ -196,15 +457,32 @@ window.togglePassword = (inputId) => {
 }
 
 // Replace the checkLoginState function with this improved version
-function checkLoginState() {
-  // Check if user is admin
-  if (localStorage.getItem("isAdmin") === "true") {
-    isAdmin = true
-    document.getElementById("user-info-container").classList.add("hidden")
-    document.getElementById("admin-panel").classList.remove("hidden")
-    document.getElementById("admin-logout").classList.remove("hidden")
-    loadDepartmentSurveys()
-    return true
+async function checkLoginState() {
+  // Check if there is an admin session and that the server still accepts it
+  if (localStorage.getItem("authToken")) {
+    let user = null
+    try {
+      const response = await fetch("/api/verify-session", { headers: authHeaders() })
+      if (response.ok) {
+        user = (await response.json()).user
+      }
+    } catch (error) {
+      console.error("Session verification error:", error)
+    }
+
+    if (user && !isKioskUser(user)) {
+      openAdminPanel(user)
+      return true
+    }
+
+    if (user) {
+      // Kiosk terminals carry on with whoever is taking the survey
+      openKioskMode(user)
+    } else {
+      clearAdminSession()
+      document.getElementById("admin-panel").classList.add("hidden")
+      document.getElementById("admin-logout").classList.add("hidden")
+    }
   }
 
   // Check if user has department and tenure stored
@@ -214,6 +492,7 @@ function checkLoginState() {
   if (department && tenure) {
     currentDepartment = department
     currentTenure = tenure
+    currentLanguage = localStorage.getItem("surveyLanguage") || BASE_LANGUAGE
     document.getElementById("user-info-container").classList.add("hidden")
     document.getElementById("employee-panel").classList.remove("hidden")
     loadAvailableSurveys()
@@ -447,14 +726,11 @@ window.redirectToLogin = () => {
          <input type="password" id="new-password" placeholder="Password" autocomplete="off"/>
          <select id="new-department" required>
            <option value="" disabled selected>Select Department</option>
-           ${DEPARTMENTS.map((dept) => `<option value="${dept.value}">${dept.label}</option>`).join("")}
+           ${masterData.departments.map((dept) => `<option value="${escapeHtml(dept)}">${escapeHtml(dept)}</option>`).join("")}
          </select>
          <select id="new-tenure" required>
            <option value="" disabled selected>Select Tenure</option>
-           <option value="0-6 months">0-6 months</option>
-           <option value="up to 1 year">up to 1 year</option>
-           <option value="Less than 5 years">Less than 5 years</option>
-           <option value="more than 5 years">more than 5 years</option>
+           ${masterData.tenureBands.map((band) => `<option value="${escapeHtml(band.name)}">${escapeHtml(band.label)}</option>`).join("")}
          </select>
          <button onclick="signup()" class="signup-button">Sign Up</button>
          <div class="form-footer-wrapper">
@@ -537,17 +813,20 @@ function deleteQuestion(button) {
   }
 }
 
-function addOptions(button) {
+// Shown next to each option while the question's options are shuffled
+const PIN_OPTION_TOGGLE = `<label class="pin-option" title="Keep this option at the end when the options are shuffled"><input type="checkbox" class="option-pinned" /> Keep last</label>`
+
+function addOptions(button, options = []) {
   const questionDiv = button.parentElement
   const questionType = questionDiv.querySelector(".question-type").value
 
-  // Don't show options for text or star rating questions
-  if (questionType === "text" || questionType === "star") {
+  // Only choice and matrix questions have options
+  if (!OPTION_QUESTION_TYPES.includes(questionType)) {
     return
   }
 
   // Remove existing options container if it exists
-  const existingOptions = questionDiv.querySelector(".options-container")
+  const existingOptions = questionDiv.querySelector(".options-container:not(.rows-container)")
   if (existingOptions) {
     existingOptions.remove()
   }
@@ -558,32 +837,101 @@ function addOptions(button) {
   optionsContainer.innerHTML = `
         <div class="option-input-group">
             <input type="text" class="options-input" placeholder="Enter option" />
+            ${PIN_OPTION_TOGGLE}
             <button onclick="addNewOption(this)" class="add-option-btn">+</button>
         </div>
         <span class="options-help">Add your options here. Click + to add more options.</span>
     `
 
-  questionDiv.appendChild(optionsContainer)
+  // Keep options above any display rules
+  questionDiv.insertBefore(optionsContainer, questionDiv.querySelector(".display-rules"))
+
+  // Prefill options when loading an existing survey into the builder
+  fillListInputs(optionsContainer, options)
+}
+
+// Prefill a list editor (options or matrix statements), one input per value
+function fillListInputs(container, values) {
+  values.forEach((value, index) => {
+    if (index > 0) {
+      addNewOption(container.querySelector(".add-option-btn"))
+    }
+    const inputs = container.querySelectorAll("input")
+    inputs[inputs.length - 1].value = value
+  })
+}
+
+// Show the settings that apply to the question's type: the options button, matrix
+// statements and slider/number bounds. `question` prefills them when editing
+function updateQuestionSettings(questionDiv, question = null) {
+  const type = questionDiv.querySelector(".question-type").value
+  const displayRules = questionDiv.querySelector(".display-rules")
+
+  const addOptionsButton = questionDiv.querySelector("button")
+  addOptionsButton.style.display = OPTION_QUESTION_TYPES.includes(type) ? "inline-block" : "none"
+  questionDiv.querySelector(".shuffle-toggle").classList.toggle("hidden", !SHUFFLE_OPTION_QUESTION_TYPES.includes(type))
+  if (!SHUFFLE_OPTION_QUESTION_TYPES.includes(type)) {
+    questionDiv.querySelector(".question-shuffle-options").checked = false
+    questionDiv.classList.remove("shuffling-options")
+  }
+  addOptionsButton.textContent = type === "matrix" ? "Add Scale" : "Add Options"
+  if (!OPTION_QUESTION_TYPES.includes(type)) {
+    questionDiv.querySelector(".options-container:not(.rows-container)")?.remove()
+  }
+
+  let rowsContainer = questionDiv.querySelector(".rows-container")
+  if (type !== "matrix") {
+    rowsContainer?.remove()
+  } else if (!rowsContainer) {
+    rowsContainer = document.createElement("div")
+    rowsContainer.className = "options-container rows-container"
+    rowsContainer.innerHTML = `
+        <div class="option-input-group">
+            <input type="text" class="rows-input" placeholder="Enter statement" />
+            <button onclick="addNewOption(this)" class="add-option-btn">+</button>
+        </div>
+        <span class="options-help">Statements rated on the matrix scale. Click + to add more statements.</span>
+    `
+    questionDiv.insertBefore(rowsContainer, displayRules)
+    fillListInputs(rowsContainer, question?.rows || [])
+  }
+
+  let rangeContainer = questionDiv.querySelector(".range-container")
+  if (!RANGE_QUESTION_TYPES.includes(type)) {
+    rangeContainer?.remove()
+  } else if (!rangeContainer) {
+    // Sliders need bounds, so start them on a 0-10 scale; number bounds are optional
+    const defaults = type === "slider" ? { min: 0, max: 10, step: 1 } : {}
+    const settings = { ...defaults, ...(question || {}) }
+    rangeContainer = document.createElement("div")
+    rangeContainer.className = "range-container"
+    rangeContainer.innerHTML = `
+        <label>Min <input type="number" class="range-min" value="${settings.min ?? ""}" /></label>
+        <label>Max <input type="number" class="range-max" value="${settings.max ?? ""}" /></label>
+        <label>Step <input type="number" class="range-step" min="0" value="${settings.step ?? ""}" /></label>
+    `
+    questionDiv.insertBefore(rangeContainer, displayRules)
+  }
 }
 
 // Add an event listener to handle question type changes
 document.addEventListener("change", (e) => {
   if (e.target.classList.contains("question-type")) {
-    const addOptionsButton = e.target.parentElement.querySelector("button")
-    if (e.target.value === "text" || e.target.value === "star") {
-      addOptionsButton.style.display = "none"
-    } else {
-      addOptionsButton.style.display = "inline-block"
-    }
+    const questionDiv = e.target.closest(".question-input")
+    // Range defaults differ between sliders and number inputs
+    questionDiv.querySelector(".range-container")?.remove()
+    updateQuestionSettings(questionDiv)
   }
 })
 
 function addNewOption(button) {
   const optionsContainer = button.closest(".options-container")
+  const firstInput = optionsContainer.querySelector("input")
   const newOptionGroup = document.createElement("div")
   newOptionGroup.className = "option-input-group"
   newOptionGroup.innerHTML = `
-        <input type="text" class="options-input" placeholder="Enter option" />
+        <input type="text" class="${firstInput.className}" placeholder="${firstInput.placeholder}" />
+        ${firstInput.classList.contains("options-input") ? PIN_OPTION_TOGGLE : ""}
         <button onclick="removeOption(this)" class="remove-option-btn">-</button>
     `
   optionsContainer.insertBefore(newOptionGroup, optionsContainer.querySelector(".options-help"))
@@ -594,22 +942,262 @@ function removeOption(button) {
 }
 
 // Update your existing addQuestion function to include the delete button
-function addQuestion() {
+// Pass a saved question to prefill the row when editing a survey
+function addQuestion(question = null) {
   const questionsContainer = document.getElementById("questions-container")
   const newQuestion = document.createElement("div")
   newQuestion.className = "question-input"
   newQuestion.innerHTML = `
         <input type="text" placeholder="Question" class="question" />
         <select class="question-type">
-            <option value="text">Text</option>
-            <option value="radio">Multiple Choice</option>
-            <option value="checkbox">Checkbox</option>
-            <option value="star">Star Rating</option>
+            ${Object.entries(QUESTION_TYPE_LABELS)
+              .map(([type, label]) => `<option value="${type}">${label}</option>`)
+              .join("")}
         </select>
         <button onclick="addOptions(this)">Add Options</button>
         <button onclick="deleteQuestion(this)" class="delete-btn">❌</button>
+        <button onclick="addDisplayCondition(this)" class="condition-btn">Add Condition</button>
+        <label class="required-toggle"><input type="checkbox" class="question-required" checked /> Required</label>
+        <label class="required-toggle shuffle-toggle"><input type="checkbox" class="question-shuffle-options" onchange="toggleOptionShuffle(this)" /> Shuffle options</label>
+        <div class="display-rules hidden">
+            <label>Show this question only if
+                <select class="display-rules-match">
+                    <option value="all">all</option>
+                    <option value="any">any</option>
+                </select>
+                of these conditions match:
+            </label>
+        </div>
     `
   questionsContainer.appendChild(newQuestion)
+
+  if (question) {
+    // Keep the id so edits stay attached to the same question across versions
+    newQuestion.dataset.questionId = question._id
+    newQuestion.querySelector(".question").value = question.text
+    newQuestion.querySelector(".question-type").value = question.type
+    newQuestion.querySelector(".question-required").checked = isQuestionRequired(question)
+
+    updateQuestionSettings(newQuestion, question)
+    if (OPTION_QUESTION_TYPES.includes(question.type) && question.options?.length) {
+      addOptions(newQuestion.querySelector("button"), question.options)
+    }
+    if (question.shuffleOptions) {
+      newQuestion.querySelector(".question-shuffle-options").checked = true
+      newQuestion.classList.add("shuffling-options")
+      newQuestion.querySelectorAll(".options-container:not(.rows-container) .option-input-group").forEach((group) => {
+        group.querySelector(".option-pinned").checked = (question.pinnedOptions || []).includes(
+          group.querySelector(".options-input").value,
+        )
+      })
+    }
+
+    const conditions = question.showIf?.conditions || []
+    if (conditions.length > 0) {
+      newQuestion.querySelector(".display-rules-match").value = question.showIf.match || "all"
+      conditions.forEach((condition) => addDisplayCondition(newQuestion.querySelector(".condition-btn"), condition))
+    }
+  } else {
+    ensureQuestionId(newQuestion)
+    updateQuestionSettings(newQuestion)
+  }
+}
+
+// Turning shuffling on suggests keeping "Other", "N/A" and the like at the end
+window.toggleOptionShuffle = (checkbox) => {
+  const questionDiv = checkbox.closest(".question-input")
+  questionDiv.classList.toggle("shuffling-options", checkbox.checked)
+
+  const groups = Array.from(questionDiv.querySelectorAll(".options-container:not(.rows-container) .option-input-group"))
+  if (checkbox.checked && !groups.some((group) => group.querySelector(".option-pinned").checked)) {
+    groups.forEach((group) => {
+      group.querySelector(".option-pinned").checked = PINNED_OPTION_PATTERN.test(
+        group.querySelector(".options-input").value.trim(),
+      )
+    })
+  }
+}
+
+// Builder-side question ids, so display rules can point at questions before they are saved
+function generateQuestionId() {
+  return `q_${Math.random().toString(16).slice(2, 14).padEnd(12, "0")}`
+}
+
+// Section headings in the builder; the questions below a heading (up to the next one) are on its page
+function addSection(section = null) {
+  const sectionDiv = document.createElement("div")
+  sectionDiv.className = "section-input"
+  // Ids are assigned here so questions can refer to sections before they are saved
+  sectionDiv.dataset.sectionId = section?._id || `s_${Math.random().toString(16).slice(2, 14).padEnd(12, "0")}`
+  sectionDiv.innerHTML = `
+        <input type="text" placeholder="Section title" class="section-title" />
+        <button onclick="deleteSection(this)" class="delete-btn">❌</button>
+        <textarea placeholder="Intro text (optional)" class="section-intro" rows="2"></textarea>
+        <span class="options-help">Questions below this heading are shown together on one page.</span>
+    `
+  document.getElementById("questions-container").appendChild(sectionDiv)
+
+  if (section) {
+    sectionDiv.querySelector(".section-title").value = section.title
+    sectionDiv.querySelector(".section-intro").value = section.intro || ""
+  }
+}
+
+// Removing a heading moves its questions into the section above it
+function deleteSection(button) {
+  button.closest(".section-input").remove()
+}
+
+// Section a builder question belongs to: the nearest heading above it
+function getBuilderSectionId(questionDiv) {
+  let element = questionDiv.previousElementSibling
+  while (element && !element.classList.contains("section-input")) {
+    element = element.previousElementSibling
+  }
+  return element?.dataset.sectionId || null
+}
+
+// Split a survey into pages: questions without a section first, then one page per
+// section. Empty sections are only kept for the builder
+function getSurveyPages(survey, includeEmpty = false) {
+  const sections = survey.sections || []
+  const sectionIds = new Set(sections.map((section) => section._id))
+  const pages = [{ section: null, questions: survey.questions.filter((q) => !sectionIds.has(q.sectionId)) }]
+  sections.forEach((section) => {
+    pages.push({ section, questions: survey.questions.filter((q) => q.sectionId === section._id) })
+  })
+
+  return pages.filter((page) => page.questions.length > 0 || (includeEmpty && page.section))
+}
+
+function ensureQuestionId(questionDiv) {
+  if (!questionDiv.dataset.questionId) {
+    questionDiv.dataset.questionId = generateQuestionId()
+  }
+  return questionDiv.dataset.questionId
+}
+
+function getSelectValues(selectId) {
+  return Array.from(document.getElementById(selectId).options)
+    .map((option) => option.value)
+    .filter(Boolean)
+}
+
+// What a display condition on this question can depend on: earlier choice/star
+// questions, plus the participant's tenure and department
+function getConditionSources(questionDiv) {
+  const rows = Array.from(document.querySelectorAll("#questions-container .question-input"))
+  const sources = []
+
+  for (const [index, row] of rows.entries()) {
+    if (row === questionDiv) break
+
+    // Only questions with a fixed set of answers can drive display rules
+    const type = row.querySelector(".question-type").value
+    let values
+    if (type === "star") {
+      values = ["1", "2", "3", "4", "5"]
+    } else if (type === "nps") {
+      values = Array.from({ length: 11 }, (_, score) => String(score))
+    } else if (["radio", "checkbox", "dropdown"].includes(type)) {
+      values = Array.from(row.querySelectorAll(".options-input"))
+        .map((input) => input.value.trim())
+        .filter(Boolean)
+    } else {
+      continue
+    }
+
+    sources.push({
+      value: ensureQuestionId(row),
+      label: `Q${index + 1}: ${row.querySelector(".question").value || "(untitled question)"}`,
+      values,
+    })
+  }
+
+  sources.push({ value: "tenure", label: "Tenure", values: getSelectValues("tenure") })
+  sources.push({ value: "department", label: "Department", values: getSelectValues("admin-department") })
+  return sources
+}
+
+window.addDisplayCondition = (button, condition = null) => {
+  const questionDiv = button.closest(".question-input")
+  const rulesContainer = questionDiv.querySelector(".display-rules")
+  rulesContainer.classList.remove("hidden")
+
+  const conditionRow = document.createElement("div")
+  conditionRow.className = "display-condition"
+  conditionRow.innerHTML = `
+        <select class="condition-source" onfocus="refreshConditionSources(this)" onchange="refreshConditionValues(this)"></select>
+        <select class="condition-operator">
+            <option value="in">is one of</option>
+            <option value="notIn">is not one of</option>
+        </select>
+        <select class="condition-values" multiple></select>
+        <button onclick="removeDisplayCondition(this)" class="remove-option-btn">-</button>
+    `
+  rulesContainer.appendChild(conditionRow)
+
+  const sourceSelect = conditionRow.querySelector(".condition-source")
+  if (condition) {
+    refreshConditionSources(sourceSelect, condition.source === "question" ? condition.questionId : condition.source)
+    conditionRow.querySelector(".condition-operator").value = condition.operator
+    refreshConditionValues(sourceSelect, condition.values)
+  } else {
+    refreshConditionSources(sourceSelect)
+  }
+}
+
+window.removeDisplayCondition = (button) => {
+  const rulesContainer = button.closest(".display-rules")
+  button.closest(".display-condition").remove()
+  if (!rulesContainer.querySelector(".display-condition")) {
+    rulesContainer.classList.add("hidden")
+  }
+}
+
+// Rebuild the source list from the current builder state, keeping the selection
+window.refreshConditionSources = (sourceSelect, selected = sourceSelect.value) => {
+  const sources = getConditionSources(sourceSelect.closest(".question-input"))
+  sourceSelect.innerHTML = sources
+    .map((source) => `<option value="${escapeHtml(source.value)}">${escapeHtml(source.label)}</option>`)
+    .join("")
+  if (selected && sources.some((source) => source.value === selected)) {
+    sourceSelect.value = selected
+  }
+  refreshConditionValues(sourceSelect)
+}
+
+window.refreshConditionValues = (sourceSelect, selectedValues = null) => {
+  const valuesSelect = sourceSelect.closest(".display-condition").querySelector(".condition-values")
+  const keep = selectedValues || Array.from(valuesSelect.selectedOptions).map((option) => option.value)
+  const source = getConditionSources(sourceSelect.closest(".question-input")).find(
+    (candidate) => candidate.value === sourceSelect.value,
+  )
+
+  valuesSelect.innerHTML = (source?.values || [])
+    .map(
+      (value) =>
+        `<option value="${escapeHtml(value)}" ${keep.includes(value) ? "selected" : ""}>${escapeHtml(value)}</option>`,
+    )
+    .join("")
+}
+
+// Read a question's display rule from the builder
+function collectDisplayRule(questionDiv) {
+  const conditions = Array.from(questionDiv.querySelectorAll(".display-condition")).map((conditionRow) => {
+    const sourceValue = conditionRow.querySelector(".condition-source").value
+    const isParticipantField = sourceValue === "tenure" || sourceValue === "department"
+
+    return {
+      source: isParticipantField ? sourceValue : "question",
+      questionId: isParticipantField ? undefined : sourceValue,
+      operator: conditionRow.querySelector(".condition-operator").value,
+      values: Array.from(conditionRow.querySelector(".condition-values").selectedOptions).map((option) => option.value),
+    }
+  })
+
+  if (conditions.length === 0) return null
+  return { match: questionDiv.querySelector(".display-rules-match").value, conditions }
 }
 
 // Handle question type change
@@ -646,9 +1234,13 @@ async function loadDepartmentSurveys() {
     let html = ""
 
     // First, fetch and display "All Departments" surveys
-    const allDeptResponse = await fetch("/api/surveys/all")
+    const allDeptResponse = await authFetch("/api/surveys/all")
     const allDeptSurveys = await allDeptResponse.json()
 
+    // Keep the full survey definitions around for the editor
+    adminSurveys.clear()
+    allDeptSurveys.forEach((survey) => adminSurveys.set(survey._id, survey))
+
     const allDepartmentSurveys = allDeptSurveys.filter((survey) => survey.isAllDepartments === true)
 
     if (allDepartmentSurveys.length > 0) {
@@ -658,10 +1250,15 @@ async function loadDepartmentSurveys() {
           ${allDepartmentSurveys
             .map(
               (survey) => `
-              <div class="survey-card" style="--survey-color: ${survey.color || "#253074"}; border-color: ${survey.color || "#253074"}">
-                  <div class="survey-title-box" style="background-color: ${survey.color || "#253074"}">${survey.title}</div>
-                  <p>Department: All Departments</p>
-                  <button onclick="deleteSurvey('${survey._id}')" class="delete-button">Delete Survey</button>
+              <div class="survey-card" style="--survey-color: ${surveyColor(survey)}; border-color: ${surveyColor(survey)}">
+                  <div class="survey-title-box" style="background-color: ${surveyColor(survey)}">${escapeHtml(survey.title)}</div>
+                  ${formatSurveyTargeting(survey)}
+                  ${formatSurveySchedule(survey)}
+                  ${hasPermission("surveys:write") ? `<button onclick="editSurvey('${survey._id}')" class="edit-button">Edit Survey</button>` : ""}
+                  ${hasPermission("surveys:write") ? `<button onclick="duplicateSurvey('${survey._id}')" class="edit-button">Duplicate</button>` : ""}
+                  ${hasPermission("surveys:write") ? `<button onclick="saveSurveyAsTemplate('${survey._id}')" class="edit-button">Save as Template</button>` : ""}
+                  ${hasPermission("surveys:read") ? `<button onclick="exportSurveyDefinition('${survey._id}')" class="edit-button">Export JSON</button>` : ""}
+                  ${hasPermission("surveys:delete") ? `<button onclick="deleteSurvey('${survey._id}')" class="delete-button">Delete Survey</button>` : ""}
               </div>
           `,
             )
@@ -670,27 +1267,32 @@ async function loadDepartmentSurveys() {
       `
     }
 
-    // Then fetch and display surveys for each specific department
-    for (const dept of allDepartments) {
-      const response = await fetch(`/api/surveys/${dept}`)
-      const surveys = await response.json()
-
+    // Then display surveys for each specific department. Use the full list rather than
+    // /api/surveys/:department, which only returns surveys that are currently open
+    // Surveys aimed at several departments are listed under each of them
+    const surveyDepartments = allDeptSurveys.filter((survey) => !survey.isAllDepartments).flatMap(getSurveyDepartments)
+    for (const dept of new Set([...allDepartments, ...surveyDepartments])) {
       // Filter out "All Departments" surveys (they're already shown above) and duplicates
-      const deptSpecificSurveys = surveys.filter(
-        (survey) => survey.isAllDepartments !== true && survey.department === dept,
+      const deptSpecificSurveys = allDeptSurveys.filter(
+        (survey) => survey.isAllDepartments !== true && getSurveyDepartments(survey).includes(dept),
       )
 
       if (deptSpecificSurveys.length > 0) {
         html += `
           <div class="department-section">
-              <h4>${dept}</h4>
+              <h4>${escapeHtml(dept)}</h4>
               ${deptSpecificSurveys
                 .map(
                   (survey) => `
-                  <div class="survey-card" style="--survey-color: ${survey.color || "#253074"}; border-color: ${survey.color || "#253074"}">
-                      <div class="survey-title-box" style="background-color: ${survey.color || "#253074"}">${survey.title}</div>
-                      <p>Department: ${survey.department}</p>
-                      <button onclick="deleteSurvey('${survey._id}')" class="delete-button">Delete Survey</button>
+                  <div class="survey-card" style="--survey-color: ${surveyColor(survey)}; border-color: ${surveyColor(survey)}">
+                      <div class="survey-title-box" style="background-color: ${surveyColor(survey)}">${escapeHtml(survey.title)}</div>
+                      ${formatSurveyTargeting(survey)}
+                      ${formatSurveySchedule(survey)}
+                      ${hasPermission("surveys:write") ? `<button onclick="editSurvey('${survey._id}')" class="edit-button">Edit Survey</button>` : ""}
+                      ${hasPermission("surveys:write") ? `<button onclick="duplicateSurvey('${survey._id}')" class="edit-button">Duplicate</button>` : ""}
+                      ${hasPermission("surveys:write") ? `<button onclick="saveSurveyAsTemplate('${survey._id}')" class="edit-button">Save as Template</button>` : ""}
+                      ${hasPermission("surveys:read") ? `<button onclick="exportSurveyDefinition('${survey._id}')" class="edit-button">Export JSON</button>` : ""}
+                      ${hasPermission("surveys:delete") ? `<button onclick="deleteSurvey('${survey._id}')" class="delete-button">Delete Survey</button>` : ""}
                   </div>
               `,
                 )
@@ -701,66 +1303,1024 @@ async function loadDepartmentSurveys() {
     }
 
     container.innerHTML = html || "<p>No surveys available</p>"
+    fillExportFilters()
   } catch (error) {
     console.error("Error loading department surveys:", error)
     document.getElementById("department-surveys").innerHTML = "<p>Error loading surveys</p>"
   }
 }
 
-// Delete Survey
-window.deleteSurvey = async (surveyId) => {
-  if (!confirm("Are you sure you want to delete this survey?")) {
-    return
-  }
+// Describe a survey's open/close window for the admin cards
+// Who a survey is aimed at, for the admin survey lists
+function formatSurveyTargeting(survey) {
+  const departments = survey.isAllDepartments
+    ? "All Departments"
+    : (survey.departments?.length ? survey.departments : [survey.department]).join(", ")
+  const tenures = survey.tenures?.length ? `<p>Tenure: ${escapeHtml(survey.tenures.join(", "))}</p>` : ""
+  return `<p>Department: ${escapeHtml(departments)}</p>${tenures}`
+}
 
-  try {
-    const response = await fetch(`/api/surveys/${surveyId}`, {
-      method: "DELETE",
-      headers: {
-        "Content-Type": "application/json",
-      },
-    })
+// Departments a survey targets; surveys from before multi-department targeting have one
+function getSurveyDepartments(survey) {
+  return survey.departments?.length ? survey.departments : [survey.department]
+}
 
-    if (response.ok) {
-      // Remove the survey card from the UI
-      const surveyCard = document.querySelector(`.survey-card[data-survey-id="${surveyId}"]`)
-      if (surveyCard) {
-        surveyCard.remove()
-      }
+// Select these values in a multi-select, adding any that are no longer offered (e.g. a
+// deactivated department) so saving a survey doesn't silently drop them
+function setSelectedValues(selectId, values = []) {
+  const select = document.getElementById(selectId)
+  values
+    .filter((value) => !Array.from(select.options).some((option) => option.value === value))
+    .forEach((value) => select.add(new Option(value, value)))
+  Array.from(select.options).forEach((option) => {
+    option.selected = values.includes(option.value)
+  })
+}
 
-      // Refresh the surveys display
-      await loadDepartmentSurveys()
-      await displayActiveSurveys()
-    } else {
-      const data = await response.json()
-      alert(data.error || "Failed to delete survey")
+// Fetch the department and tenure band lists and fill every dropdown that offers them
+async function loadMasterData() {
+  try {
+    const [departmentsResponse, tenureBandsResponse] = await Promise.all([
+      fetch("/api/departments"),
+      fetch("/api/tenure-bands"),
+    ])
+    if (!departmentsResponse.ok || !tenureBandsResponse.ok) {
+      throw new Error("Failed to load departments and tenure bands")
     }
+    masterData.departments = await departmentsResponse.json()
+    masterData.tenureBands = await tenureBandsResponse.json()
   } catch (error) {
-    console.error("Delete error:", error)
-    alert("Error deleting survey: " + error.message)
+    console.error("Error loading departments and tenure bands:", error)
+    return
   }
-}
 
-// Create Survey
-window.createSurvey = async () => {
-  const isAllDepartments = document.getElementById("all-departments-checkbox")?.checked
-  const departmentSelect = document.getElementById("admin-department")
-  const department = isAllDepartments ? "All Departments" : departmentSelect.value
-  const title = document.getElementById("survey-title").value
-  const color = document.getElementById("survey-color").value // Get the color value
+  const departmentOptions = masterData.departments
+    .map((department) => `<option value="${escapeHtml(department)}">${escapeHtml(department)}</option>`)
+    .join("")
+  const tenureOptions = masterData.tenureBands
+    .map((band) => `<option value="${escapeHtml(band.name)}">${escapeHtml(band.label)}</option>`)
+    .join("")
 
-  if (!title) {
-    alert("Please enter a survey title")
-    return
+  // Single selects keep their placeholder and current choice
+  const fillSelect = (selectId, placeholder, options) => {
+    const select = document.getElementById(selectId)
+    if (!select) return
+    const value = select.value
+    select.innerHTML = `<option value="" disabled selected>${placeholder}</option>${options}`
+    if (value) select.value = value
   }
-
-  // Check if department is selected or All Departments is checked
-  if (!isAllDepartments && (!departmentSelect.value || departmentSelect.value === "")) {
-    alert("Please select a department or check 'All Departments'")
-    return
+  fillSelect("department", "Select Department", departmentOptions)
+  fillSelect("tenure", "Select Tenure", tenureOptions)
+  fillSelect("new-department", "Select Department", departmentOptions)
+  fillSelect("new-tenure", "Select Tenure", tenureOptions)
+
+  // Builder multi-selects keep whatever is selected, including entries that are no longer active
+  const fillMultiSelect = (selectId, options) => {
+    const select = document.getElementById(selectId)
+    const selected = Array.from(select.selectedOptions, (option) => option.value)
+    select.innerHTML = options
+    setSelectedValues(selectId, selected)
   }
+  fillMultiSelect("admin-department", departmentOptions)
+  fillMultiSelect("admin-tenures", tenureOptions)
+  fillExportFilters()
+}
 
-  const questions = []
+function formatSurveySchedule(survey) {
+  const parts = []
+  if (survey.opensAt) parts.push(`Opens ${new Date(survey.opensAt).toLocaleString()}`)
+  if (survey.closesAt) parts.push(`Closes ${new Date(survey.closesAt).toLocaleString()}`)
+  return parts.length ? `<p class="survey-schedule">${parts.join(" · ")}</p>` : ""
+}
+
+// datetime-local inputs need "YYYY-MM-DDTHH:mm" in local time
+function toDateTimeLocal(value) {
+  if (!value) return ""
+  const date = new Date(value)
+  const offsetMs = date.getTimezoneOffset() * 60 * 1000
+  return new Date(date.getTime() - offsetMs).toISOString().slice(0, 16)
+}
+
+// Admin accounts management (owners only)
+async function loadAdminUsers() {
+  const roleSelect = document.getElementById("new-admin-role")
+  roleSelect.innerHTML = Object.entries(ADMIN_ROLE_LABELS)
+    .map(([role, label]) => `<option value="${role}">${label}</option>`)
+    .join("")
+
+  document.getElementById("new-admin-department").innerHTML = `
+    <option value="" disabled selected>Select Department</option>
+    ${masterData.departments.map((dept) => `<option value="${escapeHtml(dept)}">${escapeHtml(dept)}</option>`).join("")}
+  `
+
+  const container = document.getElementById("admin-users-list")
+  try {
+    const response = await authFetch("/api/admin/users")
+    const users = await response.json()
+
+    if (!response.ok) {
+      throw new Error(users.error || "Failed to load admin users")
+    }
+
+    container.innerHTML = `
+      <table class="admin-users-table">
+        <thead>
+          <tr><th>Username</th><th>Role</th><th>Department</th><th>Status</th><th></th></tr>
+        </thead>
+        <tbody>
+          ${users
+            .map(
+              (user) => `
+              <tr class="${user.active ? "" : "disabled"}">
+                <td>${escapeHtml(user.username)}</td>
+                <td>
+                  <select onchange="updateAdminUser('${user._id}', { role: this.value })">
+                    ${Object.entries(ADMIN_ROLE_LABELS)
+                      .map(
+                        ([role, label]) =>
+                          `<option value="${role}" ${role === user.role || (role === "owner" && user.role === "admin") ? "selected" : ""}>${label}</option>`,
+                      )
+                      .join("")}
+                  </select>
+                </td>
+                <td>${escapeHtml(user.department)}</td>
+                <td>${user.active ? "Active" : "Disabled"}</td>
+                <td>
+                  <button onclick="updateAdminUser('${user._id}', { active: ${!user.active} })" class="link-button">
+                    ${user.active ? "Disable" : "Enable"}
+                  </button>
+                </td>
+              </tr>
+            `,
+            )
+            .join("")}
+        </tbody>
+      </table>
+    `
+  } catch (error) {
+    console.error("Error loading admin users:", error)
+    container.innerHTML = "<p>Error loading admin accounts</p>"
+  }
+}
+
+window.createAdminUser = async () => {
+  const username = document.getElementById("new-admin-username").value.trim()
+  const password = document.getElementById("new-admin-password").value
+  const email = document.getElementById("new-admin-email").value.trim()
+  const role = document.getElementById("new-admin-role").value
+  const department = document.getElementById("new-admin-department").value
+
+  if (!username || !password || !role || !department) {
+    alert("Please fill in username, password, role and department")
+    return
+  }
+
+  if (!validatePassword(password)) {
+    alert(
+      "Password must be at least 8 characters long and contain uppercase, lowercase, numbers and special characters",
+    )
+    return
+  }
+
+  try {
+    const response = await authFetch("/api/admin/users", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ username, password, email, role, department }),
+    })
+    const data = await response.json()
+
+    if (!response.ok) {
+      throw new Error(data.error || "Failed to create admin")
+    }
+
+    document.getElementById("new-admin-username").value = ""
+    document.getElementById("new-admin-password").value = ""
+    document.getElementById("new-admin-email").value = ""
+    await loadAdminUsers()
+  } catch (error) {
+    console.error("Admin creation error:", error)
+    alert("Error creating admin: " + error.message)
+  }
+}
+
+window.updateAdminUser = async (userId, changes) => {
+  try {
+    const response = await authFetch(`/api/admin/users/${userId}`, {
+      method: "PATCH",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(changes),
+    })
+    const data = await response.json()
+
+    if (!response.ok) {
+      alert(data.error || "Failed to update admin")
+    }
+  } catch (error) {
+    console.error("Admin update error:", error)
+    alert("Error updating admin: " + error.message)
+  } finally {
+    await loadAdminUsers()
+  }
+}
+
+// Participation code batches (owners only)
+async function loadParticipationBatches() {
+  document.getElementById("participation-surveys").innerHTML = Array.from(adminSurveys.values())
+    .filter((survey) => survey.requireParticipationToken)
+    .map((survey) => `<option value="${survey._id}">${escapeHtml(survey.title)}</option>`)
+    .join("")
+
+  const container = document.getElementById("participation-batches")
+  try {
+    const response = await authFetch("/api/participation/batches")
+    const batches = await response.json()
+
+    if (!response.ok) {
+      throw new Error(batches.error || "Failed to load participation codes")
+    }
+
+    if (batches.length === 0) {
+      container.innerHTML = "<p>No participation codes issued yet</p>"
+      return
+    }
+
+    container.innerHTML = `
+      <table class="admin-users-table">
+        <thead>
+          <tr><th>Label</th><th>Surveys</th><th>Used</th><th>Issued</th><th>Expires</th></tr>
+        </thead>
+        <tbody>
+          ${batches
+            .map(
+              (batch) => `
+              <tr>
+                <td>${escapeHtml(batch.label || "-")}</td>
+                <td>${
+                  batch.surveyIds.length
+                    ? escapeHtml(batch.surveyIds.map((id) => adminSurveys.get(id)?.title || "Deleted survey").join(", "))
+                    : "Any"
+                }</td>
+                <td>${batch.used} / ${batch.issued}</td>
+                <td>${new Date(batch.createdAt).toLocaleDateString()}</td>
+                <td>${new Date(batch.expiresAt).toLocaleDateString()}</td>
+              </tr>
+            `,
+            )
+            .join("")}
+        </tbody>
+      </table>
+    `
+  } catch (error) {
+    console.error("Error loading participation codes:", error)
+    container.innerHTML = "<p>Error loading participation codes</p>"
+  }
+}
+
+window.issueParticipationCodes = async () => {
+  const count = Number.parseInt(document.getElementById("participation-count").value, 10)
+  const expiresInDays = Number(document.getElementById("participation-expires-days").value) || 30
+  const label = document.getElementById("participation-label").value.trim()
+  const surveyIds = Array.from(document.getElementById("participation-surveys").selectedOptions, (option) => option.value)
+
+  if (!count || count < 1) {
+    alert("Please enter how many codes to generate")
+    return
+  }
+
+  try {
+    const response = await authFetch("/api/participation/tokens", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ count, expiresInDays, label, surveyIds }),
+    })
+    const data = await response.json()
+
+    if (!response.ok) {
+      throw new Error(data.error || "Failed to generate codes")
+    }
+
+    // The codes can't be retrieved again later, so hand them over as a file right away
+    const blob = new Blob([data.codes.join("\n") + "\n"], { type: "text/plain" })
+    const url = window.URL.createObjectURL(blob)
+    const a = document.createElement("a")
+    a.href = url
+    a.download = `participation-codes-${new Date().toISOString().split("T")[0]}.txt`
+    document.body.appendChild(a)
+    a.click()
+    window.URL.revokeObjectURL(url)
+    document.body.removeChild(a)
+
+    document.getElementById("participation-count").value = ""
+    document.getElementById("participation-label").value = ""
+    await loadParticipationBatches()
+  } catch (error) {
+    console.error("Participation code error:", error)
+    alert("Error generating codes: " + error.message)
+  }
+}
+
+// Departments and tenure bands share one admin screen; each kind has its own endpoint and table
+const MASTER_DATA_KINDS = {
+  departments: { endpoint: "/api/admin/departments", listId: "departments-list", noun: "department" },
+  "tenure-bands": { endpoint: "/api/admin/tenure-bands", listId: "tenure-bands-list", noun: "tenure band" },
+}
+
+async function loadMasterDataAdmin() {
+  for (const [kind, { endpoint, listId, noun }] of Object.entries(MASTER_DATA_KINDS)) {
+    const container = document.getElementById(listId)
+    try {
+      const response = await authFetch(endpoint)
+      const items = await response.json()
+
+      if (!response.ok) {
+        throw new Error(items.error || `Failed to load ${noun}s`)
+      }
+
+      container.innerHTML = `
+        <table class="admin-users-table">
+          <thead>
+            <tr><th>Order</th><th>Name</th>${kind === "tenure-bands" ? "<th>Label</th>" : ""}<th>Status</th><th></th></tr>
+          </thead>
+          <tbody>
+            ${items
+              .map(
+                (item) => `
+                <tr class="${item.active ? "" : "disabled"}">
+                  <td><input type="number" class="master-data-order" value="${item.order}" onchange="updateMasterDataItem('${kind}', '${item._id}', { order: Number(this.value) })"/></td>
+                  <td>${escapeHtml(item.name)}</td>
+                  ${kind === "tenure-bands" ? `<td>${escapeHtml(item.label)}</td>` : ""}
+                  <td>${item.active ? "Active" : "Inactive"}</td>
+                  <td>
+                    <button onclick="renameMasterDataItem('${kind}', '${item._id}')" class="link-button">Rename</button>
+                    ${
+                      kind === "tenure-bands"
+                        ? `<button onclick="relabelTenureBand('${item._id}')" class="link-button">Label</button>`
+                        : ""
+                    }
+                    <button onclick="updateMasterDataItem('${kind}', '${item._id}', { active: ${!item.active} })" class="link-button">
+                      ${item.active ? "Deactivate" : "Activate"}
+                    </button>
+                    <button onclick="deleteMasterDataItem('${kind}', '${item._id}')" class="link-button">Delete</button>
+                  </td>
+                </tr>
+              `,
+              )
+              .join("")}
+          </tbody>
+        </table>
+      `
+      container.dataset.items = JSON.stringify(items)
+    } catch (error) {
+      console.error(`Error loading ${noun}s:`, error)
+      container.innerHTML = `<p>Error loading ${noun}s</p>`
+    }
+  }
+}
+
+function findMasterDataItem(kind, id) {
+  const items = JSON.parse(document.getElementById(MASTER_DATA_KINDS[kind].listId).dataset.items || "[]")
+  return items.find((item) => item._id === id)
+}
+
+// Refresh the admin tables and every dropdown that lists departments or tenure bands
+async function refreshMasterData() {
+  await loadMasterDataAdmin()
+  await loadMasterData()
+}
+
+window.createMasterDataItem = async (kind) => {
+  const nameInput = document.getElementById(kind === "departments" ? "new-department-name" : "new-tenure-band-name")
+  const labelInput = document.getElementById("new-tenure-band-label")
+  const name = nameInput.value.trim()
+
+  if (!name) {
+    alert("Please enter a name")
+    return
+  }
+
+  try {
+    const response = await authFetch(MASTER_DATA_KINDS[kind].endpoint, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ name, label: kind === "tenure-bands" ? labelInput.value.trim() : undefined }),
+    })
+    const data = await response.json()
+
+    if (!response.ok) {
+      throw new Error(data.error || `Failed to add ${MASTER_DATA_KINDS[kind].noun}`)
+    }
+
+    nameInput.value = ""
+    if (kind === "tenure-bands") labelInput.value = ""
+    await refreshMasterData()
+  } catch (error) {
+    console.error("Master data create error:", error)
+    alert(error.message)
+  }
+}
+
+window.updateMasterDataItem = async (kind, id, changes) => {
+  try {
+    const response = await authFetch(`${MASTER_DATA_KINDS[kind].endpoint}/${id}`, {
+      method: "PATCH",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(changes),
+    })
+    const data = await response.json()
+
+    if (!response.ok) {
+      throw new Error(data.error || `Failed to update ${MASTER_DATA_KINDS[kind].noun}`)
+    }
+
+    await refreshMasterData()
+    return data
+  } catch (error) {
+    console.error("Master data update error:", error)
+    alert(error.message)
+    await loadMasterDataAdmin()
+    return null
+  }
+}
+
+// Renaming rewrites the name on past responses, employees and surveys, so confirm first
+window.renameMasterDataItem = async (kind, id) => {
+  const item = findMasterDataItem(kind, id)
+  if (!item) return
+
+  const name = prompt(
+    `Rename "${item.name}" to:\n\nPast responses, employee accounts and surveys using it will be updated too.`,
+    item.name,
+  )
+  if (name === null || !name.trim() || name.trim() === item.name) return
+
+  const data = await updateMasterDataItem(kind, id, { name: name.trim() })
+  if (data?.remapped) {
+    alert(`Renamed. Updated ${data.remapped.responses} response(s) and ${data.remapped.surveys} survey(s).`)
+    await loadDepartmentSurveys()
+  }
+}
+
+window.relabelTenureBand = async (id) => {
+  const item = findMasterDataItem("tenure-bands", id)
+  if (!item) return
+
+  const label = prompt("Label shown to participants (leave empty to show the name):", item.label || "")
+  if (label === null) return
+  await updateMasterDataItem("tenure-bands", id, { label })
+}
+
+window.deleteMasterDataItem = async (kind, id) => {
+  const item = findMasterDataItem(kind, id)
+  if (!item || !confirm(`Delete "${item.name}"?`)) return
+
+  try {
+    const response = await authFetch(`${MASTER_DATA_KINDS[kind].endpoint}/${id}`, { method: "DELETE" })
+    const data = await response.json()
+
+    if (!response.ok) {
+      throw new Error(data.error || `Failed to delete ${MASTER_DATA_KINDS[kind].noun}`)
+    }
+
+    await refreshMasterData()
+  } catch (error) {
+    console.error("Master data delete error:", error)
+    alert(error.message)
+  }
+}
+
+// Delete Survey
+window.deleteSurvey = async (surveyId) => {
+  if (!confirm("Are you sure you want to delete this survey?")) {
+    return
+  }
+
+  try {
+    const response = await authFetch(`/api/surveys/${surveyId}`, {
+      method: "DELETE",
+      headers: {
+        "Content-Type": "application/json",
+      },
+    })
+
+    if (response.ok) {
+      // Remove the survey card from the UI
+      const surveyCard = document.querySelector(`.survey-card[data-survey-id="${surveyId}"]`)
+      if (surveyCard) {
+        surveyCard.remove()
+      }
+
+      // Refresh the surveys display
+      await loadDepartmentSurveys()
+      await displayActiveSurveys()
+    } else {
+      const data = await response.json()
+      alert(data.error || "Failed to delete survey")
+    }
+  } catch (error) {
+    console.error("Delete error:", error)
+    alert("Error deleting survey: " + error.message)
+  }
+}
+
+// Fill the survey builder with a survey's (or template's) settings and questions
+function fillSurveyBuilder(survey) {
+  document.getElementById("survey-title").value = survey.title
+  document.getElementById("survey-color").value = survey.color || "#253074"
+  document.getElementById("survey-opens-at").value = toDateTimeLocal(survey.opensAt)
+  document.getElementById("survey-closes-at").value = toDateTimeLocal(survey.closesAt)
+
+  const allDepartmentsCheckbox = document.getElementById("all-departments-checkbox")
+  allDepartmentsCheckbox.checked = Boolean(survey.isAllDepartments)
+  setSelectedValues("admin-department", survey.isAllDepartments ? [] : getSurveyDepartments(survey))
+  setSelectedValues("admin-tenures", survey.tenures || [])
+  toggleDepartmentSelect()
+  document.getElementById("require-participation-code").checked = Boolean(survey.requireParticipationToken)
+  document.getElementById("shuffle-questions").checked = Boolean(survey.shuffleQuestions)
+
+  document.getElementById("questions-container").innerHTML = ""
+  getSurveyPages(survey, true).forEach((page) => {
+    if (page.section) addSection(page.section)
+    page.questions.forEach((question) => addQuestion(question))
+  })
+  resetTranslationEditor(survey.translations)
+}
+
+// Load a saved survey into the builder for editing
+window.editSurvey = (surveyId) => {
+  const survey = adminSurveys.get(surveyId)
+  if (!survey) {
+    alert("Survey not found. Please refresh and try again.")
+    return
+  }
+
+  editingSurveyId = surveyId
+  fillSurveyBuilder(survey)
+
+  document.getElementById("survey-builder-title").textContent = `Edit Survey: ${survey.title}`
+  document.getElementById("save-survey-button").textContent = "Update Survey"
+  document.getElementById("cancel-edit-button").classList.remove("hidden")
+  document.getElementById("survey-builder").scrollIntoView({ behavior: "smooth" })
+}
+
+window.cancelSurveyEdit = () => {
+  clearSurveyForm()
+}
+
+// Copy a survey into a new one and open the copy for review, e.g. to set its schedule
+window.duplicateSurvey = async (surveyId) => {
+  const original = adminSurveys.get(surveyId)
+  const title = prompt("Title for the copy:", `Copy of ${original?.title || "survey"}`)
+  if (title === null) return
+
+  try {
+    const response = await authFetch(`/api/surveys/${surveyId}/duplicate`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ title }),
+    })
+    const data = await response.json()
+
+    if (!response.ok) {
+      throw new Error(data.error || "Failed to duplicate survey")
+    }
+
+    await loadDepartmentSurveys()
+    await displayActiveSurveys()
+    editSurvey(data.survey._id)
+  } catch (error) {
+    console.error("Survey duplicate error:", error)
+    alert("Error duplicating survey: " + error.message)
+  }
+}
+
+// Download a survey's definition so it can be imported into another deployment
+window.exportSurveyDefinition = async (surveyId) => {
+  try {
+    const response = await authFetch(`/api/surveys/${surveyId}/definition`)
+
+    if (!response.ok) {
+      const data = await response.json()
+      throw new Error(data.error || "Failed to export survey")
+    }
+
+    const filename = response.headers.get("Content-Disposition")?.match(/filename="(.+)"/)?.[1] || "survey.json"
+    const blob = await response.blob()
+    const url = window.URL.createObjectURL(blob)
+    const a = document.createElement("a")
+    a.style.display = "none"
+    a.href = url
+    a.download = filename
+    document.body.appendChild(a)
+    a.click()
+    window.URL.revokeObjectURL(url)
+    document.body.removeChild(a)
+  } catch (error) {
+    console.error("Survey export error:", error)
+    alert("Error exporting survey: " + error.message)
+  }
+}
+
+// Create a survey from a definition file exported with "Export JSON"
+window.importSurveyDefinition = async (input) => {
+  const file = input.files[0]
+  input.value = ""
+  if (!file) return
+
+  let definition
+  try {
+    definition = JSON.parse(await file.text())
+  } catch (error) {
+    alert("That file is not valid JSON")
+    return
+  }
+
+  try {
+    const response = await authFetch("/api/surveys/import", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(definition),
+    })
+    const data = await response.json()
+
+    if (!response.ok) {
+      const details = data.errors?.length ? `:\n\n- ${data.errors.join("\n- ")}` : ""
+      alert(`${data.error || "Failed to import survey"}${details}`)
+      return
+    }
+
+    alert(`Imported "${data.survey.title}". It has no schedule yet, so it is open now; set one in the editor if needed.`)
+    await loadDepartmentSurveys()
+    await displayActiveSurveys()
+    editSurvey(data.survey._id)
+  } catch (error) {
+    console.error("Survey import error:", error)
+    alert("Error importing survey: " + error.message)
+  }
+}
+
+// Load a spreadsheet of questions into the builder as a draft to review before creating it
+window.previewSurveyCsv = async (input) => {
+  const file = input.files[0]
+  input.value = ""
+  if (!file) return
+
+  const hasContent =
+    document.getElementById("survey-title").value ||
+    Array.from(document.querySelectorAll("#questions-container .question")).some((question) => question.value)
+  if (hasContent && !confirm("Replace what is currently in the survey builder?")) {
+    return
+  }
+
+  try {
+    const response = await authFetch("/api/surveys/csv-preview", {
+      method: "POST",
+      headers: { "Content-Type": "text/csv" },
+      body: await file.text(),
+    })
+    const data = await response.json()
+
+    if (!response.ok) {
+      throw new Error(data.error || "Failed to read CSV")
+    }
+
+    clearSurveyForm()
+    if (data.questions.length > 0) {
+      fillSurveyBuilder({ title: file.name.replace(/\.csv$/i, ""), sections: data.sections, questions: data.questions })
+    }
+    showCsvImportErrors(data.errors)
+    document.getElementById("survey-builder").scrollIntoView({ behavior: "smooth" })
+  } catch (error) {
+    console.error("CSV preview error:", error)
+    alert("Error reading CSV: " + error.message)
+  }
+}
+
+function showCsvImportErrors(errors = []) {
+  const container = document.getElementById("csv-import-errors")
+  container.classList.toggle("hidden", errors.length === 0)
+  container.innerHTML = errors.length
+    ? `<strong>Some rows need attention. Fix them below or in the spreadsheet and upload it again.</strong>
+      <ul>${errors.map((error) => `<li>Row ${error.row}: ${escapeHtml(error.message)}</li>`).join("")}</ul>`
+    : ""
+}
+
+// Templates offered in the builder's "Start from Template" picker
+async function loadSurveyTemplates() {
+  const select = document.getElementById("survey-template-select")
+  try {
+    const response = await authFetch("/api/templates")
+    const templates = await response.json()
+
+    if (!response.ok) {
+      throw new Error(templates.error || "Failed to load templates")
+    }
+
+    surveyTemplates.clear()
+    templates.forEach((template) => surveyTemplates.set(template._id, template))
+
+    const option = (template) =>
+      `<option value="${template._id}">${escapeHtml(template.name)} (${template.questionCount} questions)</option>`
+    const builtIn = templates.filter((template) => template.builtIn)
+    const saved = templates.filter((template) => !template.builtIn)
+
+    select.innerHTML = `
+      <option value="">Choose a template</option>
+      ${builtIn.length ? `<optgroup label="Built-in">${builtIn.map(option).join("")}</optgroup>` : ""}
+      ${saved.length ? `<optgroup label="Saved">${saved.map(option).join("")}</optgroup>` : ""}
+    `
+  } catch (error) {
+    console.error("Error loading templates:", error)
+    select.innerHTML = `<option value="">Templates unavailable</option>`
+  }
+  updateTemplateActions()
+}
+
+window.updateTemplateActions = () => {
+  const template = surveyTemplates.get(document.getElementById("survey-template-select").value)
+  document.getElementById("survey-template-description").textContent = template?.description || ""
+  document
+    .getElementById("delete-template-button")
+    .classList.toggle("hidden", !template || template.builtIn || !hasPermission("surveys:delete"))
+}
+
+// Load a template into the builder as a new survey; nothing is saved until "Create Survey"
+window.useSurveyTemplate = async () => {
+  const templateId = document.getElementById("survey-template-select").value
+  if (!templateId) {
+    alert("Please choose a template")
+    return
+  }
+
+  const hasContent =
+    document.getElementById("survey-title").value ||
+    Array.from(document.querySelectorAll("#questions-container .question")).some((input) => input.value)
+  if (hasContent && !confirm("Replace what is currently in the survey builder?")) {
+    return
+  }
+
+  try {
+    const response = await authFetch(`/api/templates/${templateId}`)
+    const template = await response.json()
+
+    if (!response.ok) {
+      throw new Error(template.error || "Failed to load template")
+    }
+
+    clearSurveyForm()
+    fillSurveyBuilder(template)
+    document.getElementById("survey-builder").scrollIntoView({ behavior: "smooth" })
+  } catch (error) {
+    console.error("Template load error:", error)
+    alert("Error loading template: " + error.message)
+  }
+}
+
+window.saveSurveyAsTemplate = async (surveyId) => {
+  const survey = adminSurveys.get(surveyId)
+  const name = prompt("Template name:", survey?.title || "")
+  if (name === null) return
+  const description = prompt("Short description (optional):", "")
+  if (description === null) return
+
+  try {
+    const response = await authFetch("/api/templates", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ surveyId, name, description }),
+    })
+    const data = await response.json()
+
+    if (!response.ok) {
+      throw new Error(data.error || "Failed to save template")
+    }
+
+    alert(`Saved "${data.name}" as a template`)
+    await loadSurveyTemplates()
+  } catch (error) {
+    console.error("Template save error:", error)
+    alert("Error saving template: " + error.message)
+  }
+}
+
+window.deleteSurveyTemplate = async () => {
+  const template = surveyTemplates.get(document.getElementById("survey-template-select").value)
+  if (!template || !confirm(`Delete the template "${template.name}"? Surveys created from it are not affected.`)) {
+    return
+  }
+
+  try {
+    const response = await authFetch(`/api/templates/${template._id}`, { method: "DELETE" })
+    const data = await response.json()
+
+    if (!response.ok) {
+      throw new Error(data.error || "Failed to delete template")
+    }
+
+    await loadSurveyTemplates()
+  } catch (error) {
+    console.error("Template delete error:", error)
+    alert("Error deleting template: " + error.message)
+  }
+}
+
+// Save an edited survey, asking for confirmation if the edit affects existing responses
+async function updateSurvey(surveyId, surveyData) {
+  let response = await authFetch(`/api/surveys/${surveyId}`, {
+    method: "PUT",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(surveyData),
+  })
+  let data = await response.json()
+
+  if (response.status === 409 && data.breakingChanges) {
+    const proceed = confirm(
+      `${data.error}:\n\n- ${data.breakingChanges.join("\n- ")}\n\nSave these changes anyway?`,
+    )
+    if (!proceed) return false
+
+    response = await authFetch(`/api/surveys/${surveyId}`, {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ ...surveyData, force: true }),
+    })
+    data = await response.json()
+  }
+
+  if (!response.ok) {
+    throw new Error(data.error || "Failed to update survey")
+  }
+  return true
+}
+
+// Translations being edited in the builder, keyed by language. The editor shows one
+// language at a time and is rebuilt from the builder's current questions when opened
+let builderTranslations = {}
+let translationEditorLanguage = ""
+
+function resetTranslationEditor(translations = []) {
+  builderTranslations = Object.fromEntries(translations.map((translation) => [translation.language, translation]))
+  translationEditorLanguage = ""
+  document.getElementById("translation-language").value = ""
+  document.getElementById("translation-fields").innerHTML = ""
+}
+
+function translationInput(className, baseText, value, multiline = false) {
+  const input = document.createElement(multiline ? "textarea" : "input")
+  if (!multiline) input.type = "text"
+  input.className = className
+  input.placeholder = baseText || ""
+  input.title = baseText || ""
+  input.value = value || ""
+  return input
+}
+
+// Store what is in the editor for the language it is showing
+function readTranslationFields() {
+  if (!translationEditorLanguage) return
+  const container = document.getElementById("translation-fields")
+  const values = (element, selector) => Array.from(element.querySelectorAll(selector), (input) => input.value.trim())
+
+  builderTranslations[translationEditorLanguage] = {
+    language: translationEditorLanguage,
+    title: container.querySelector(".translation-title").value.trim(),
+    sections: Array.from(container.querySelectorAll(".translation-section"), (sectionDiv) => ({
+      sectionId: sectionDiv.dataset.sectionId,
+      title: sectionDiv.querySelector(".translation-section-title").value.trim(),
+      intro: sectionDiv.querySelector(".translation-section-intro").value.trim(),
+    })),
+    questions: Array.from(container.querySelectorAll(".translation-question"), (questionDiv) => ({
+      questionId: questionDiv.dataset.questionId,
+      text: questionDiv.querySelector(".translation-text").value.trim(),
+      options: values(questionDiv, ".translation-option"),
+      rows: values(questionDiv, ".translation-row"),
+    })),
+  }
+}
+
+// Show inputs for every title, question, option and statement in the builder, in the chosen language
+window.showTranslationEditor = (language) => {
+  readTranslationFields()
+  translationEditorLanguage = language
+
+  const container = document.getElementById("translation-fields")
+  container.innerHTML = ""
+  if (!language) return
+
+  const translation = builderTranslations[language] || {}
+  const sectionEntries = new Map((translation.sections || []).map((entry) => [entry.sectionId, entry]))
+  const questionEntries = new Map((translation.questions || []).map((entry) => [entry.questionId, entry]))
+
+  container.appendChild(
+    translationInput("translation-title", document.getElementById("survey-title").value, translation.title),
+  )
+
+  document.querySelectorAll("#questions-container .section-input, #questions-container .question-input").forEach((element) => {
+    const block = document.createElement("div")
+
+    if (element.classList.contains("section-input")) {
+      const entry = sectionEntries.get(element.dataset.sectionId) || {}
+      block.className = "translation-section"
+      block.dataset.sectionId = element.dataset.sectionId
+      block.append(
+        translationInput("translation-section-title", element.querySelector(".section-title").value, entry.title),
+        translationInput("translation-section-intro", element.querySelector(".section-intro").value, entry.intro, true),
+      )
+    } else {
+      const entry = questionEntries.get(ensureQuestionId(element)) || {}
+      const baseValues = (selector) =>
+        Array.from(element.querySelectorAll(selector), (input) => input.value.trim()).filter(Boolean)
+      const type = element.querySelector(".question-type").value
+
+      block.className = "translation-question"
+      block.dataset.questionId = element.dataset.questionId
+      block.appendChild(translationInput("translation-text", element.querySelector(".question").value, entry.text))
+      if (OPTION_QUESTION_TYPES.includes(type)) {
+        baseValues(".options-input").forEach((option, index) => {
+          block.appendChild(translationInput("translation-option", option, entry.options?.[index]))
+        })
+      }
+      if (type === "matrix") {
+        baseValues(".rows-input").forEach((row, index) => {
+          block.appendChild(translationInput("translation-row", row, entry.rows?.[index]))
+        })
+      }
+    }
+
+    container.appendChild(block)
+  })
+}
+
+// Translations to save with the survey, lined up with the builder's current options and statements
+function collectTranslations(questions) {
+  readTranslationFields()
+  const questionsById = new Map(questions.map((question) => [question._id, question]))
+
+  return Object.values(builderTranslations).map((translation) => ({
+    language: translation.language,
+    title: translation.title,
+    sections: translation.sections || [],
+    questions: (translation.questions || [])
+      .filter((entry) => questionsById.has(entry.questionId))
+      .map((entry) => {
+        const question = questionsById.get(entry.questionId)
+        return {
+          questionId: entry.questionId,
+          text: entry.text,
+          options: (question.options || []).map((_, index) => entry.options?.[index] || ""),
+          rows: (question.rows || []).map((_, index) => entry.rows?.[index] || ""),
+        }
+      }),
+  }))
+}
+
+// Create Survey
+window.createSurvey = async () => {
+  const isAllDepartments = document.getElementById("all-departments-checkbox")?.checked
+  const departments = isAllDepartments
+    ? []
+    : Array.from(document.getElementById("admin-department").selectedOptions, (option) => option.value)
+  const tenures = Array.from(document.getElementById("admin-tenures").selectedOptions, (option) => option.value)
+  const title = document.getElementById("survey-title").value
+  const color = document.getElementById("survey-color").value // Get the color value
+  const opensAtValue = document.getElementById("survey-opens-at").value
+  const closesAtValue = document.getElementById("survey-closes-at").value
+  const opensAt = opensAtValue ? new Date(opensAtValue).toISOString() : null
+  const closesAt = closesAtValue ? new Date(closesAtValue).toISOString() : null
+  const requireParticipationToken = document.getElementById("require-participation-code").checked
+  const shuffleQuestions = document.getElementById("shuffle-questions").checked
+
+  if (!title) {
+    alert("Please enter a survey title")
+    return
+  }
+
+  // Check if a department is selected or All Departments is checked
+  if (!isAllDepartments && departments.length === 0) {
+    alert("Please select at least one department or check 'All Departments'")
+    return
+  }
+
+  if (opensAt && closesAt && new Date(closesAt) <= new Date(opensAt)) {
+    alert("The close date must be after the open date")
+    return
+  }
+
+  const sections = []
+  for (const sectionDiv of document.querySelectorAll("#questions-container .section-input")) {
+    const sectionTitle = sectionDiv.querySelector(".section-title").value.trim()
+    if (!sectionTitle) {
+      alert("Please give every section a title")
+      return
+    }
+    sections.push({
+      _id: sectionDiv.dataset.sectionId,
+      title: sectionTitle,
+      intro: sectionDiv.querySelector(".section-intro").value.trim(),
+    })
+  }
+
+  const questions = []
   let isValid = true
 
   document.querySelectorAll(".question-input").forEach((questionDiv, index) => {
@@ -776,10 +2336,23 @@ window.createSurvey = async () => {
     const question = {
       text: questionText,
       type: questionType,
+      required: questionDiv.querySelector(".question-required").checked,
+      sectionId: getBuilderSectionId(questionDiv),
     }
+    question._id = ensureQuestionId(questionDiv)
 
-    // Only validate options for radio and checkbox questions
-    if (questionType === "radio" || questionType === "checkbox") {
+    const showIf = collectDisplayRule(questionDiv)
+    if (showIf) {
+      if (showIf.conditions.some((condition) => condition.values.length === 0)) {
+        alert("Please choose at least one value for each display condition")
+        isValid = false
+        return
+      }
+      question.showIf = showIf
+    }
+
+    // Only validate options for choice and matrix questions
+    if (OPTION_QUESTION_TYPES.includes(questionType)) {
       const optionInputs = questionDiv.querySelectorAll(".options-input")
       const options = []
 
@@ -789,12 +2362,64 @@ window.createSurvey = async () => {
         }
       })
 
-      if (options.length < 2) {
-        alert("Please provide at least 2 options for multiple choice/checkbox questions")
+      if (options.length < 2) {
+        alert("Please provide at least 2 options for multiple choice, checkbox, dropdown, matrix and ranking questions")
+        isValid = false
+        return
+      }
+      question.options = options
+
+      if (
+        SHUFFLE_OPTION_QUESTION_TYPES.includes(questionType) &&
+        questionDiv.querySelector(".question-shuffle-options").checked
+      ) {
+        question.shuffleOptions = true
+        question.pinnedOptions = Array.from(
+          questionDiv.querySelectorAll(".options-container:not(.rows-container) .option-input-group"),
+        )
+          .filter((group) => group.querySelector(".option-pinned").checked)
+          .map((group) => group.querySelector(".options-input").value.trim())
+          .filter(Boolean)
+      }
+    }
+
+    if (questionType === "matrix") {
+      const rows = Array.from(questionDiv.querySelectorAll(".rows-input"))
+        .map((input) => input.value.trim())
+        .filter(Boolean)
+
+      if (rows.length === 0) {
+        alert("Please add at least one statement to each matrix question")
+        isValid = false
+        return
+      }
+      question.rows = rows
+    }
+
+    if (RANGE_QUESTION_TYPES.includes(questionType)) {
+      const readNumber = (selector) => {
+        const value = questionDiv.querySelector(selector).value
+        return value === "" ? undefined : Number(value)
+      }
+      question.min = readNumber(".range-min")
+      question.max = readNumber(".range-max")
+      question.step = readNumber(".range-step")
+
+      if (questionType === "slider" && (question.min === undefined || question.max === undefined)) {
+        alert("Please set a minimum and maximum for each slider question")
+        isValid = false
+        return
+      }
+      if (question.min !== undefined && question.max !== undefined && question.max <= question.min) {
+        alert("The maximum must be greater than the minimum")
+        isValid = false
+        return
+      }
+      if (question.step !== undefined && question.step <= 0) {
+        alert("The step must be greater than 0")
         isValid = false
         return
       }
-      question.options = options
     }
 
     questions.push(question)
@@ -802,16 +2427,54 @@ window.createSurvey = async () => {
 
   if (!isValid || questions.length === 0) return
 
+  const translations = collectTranslations(questions)
+
+  if (editingSurveyId) {
+    try {
+      const saved = await updateSurvey(editingSurveyId, {
+        departments,
+        tenures,
+        title,
+        sections,
+        questions,
+        translations,
+        isAllDepartments,
+        color,
+        opensAt,
+        closesAt,
+        requireParticipationToken,
+        shuffleQuestions,
+      })
+      if (!saved) return
+
+      alert("Survey updated successfully!")
+      await loadDepartmentSurveys()
+      await displayActiveSurveys()
+      clearSurveyForm()
+    } catch (error) {
+      console.error("Survey update error:", error)
+      alert("Error updating survey: " + error.message)
+    }
+    return
+  }
+
   try {
-    const response = await fetch("/api/surveys", {
+    const response = await authFetch("/api/surveys", {
       method: "POST",
       headers: { "Content-Type": "application/json" },
       body: JSON.stringify({
-        department,
+        departments,
+        tenures,
         title,
+        sections,
         questions,
+        translations,
         isAllDepartments,
         color, // Include the color in the request
+        opensAt,
+        closesAt,
+        requireParticipationToken,
+        shuffleQuestions,
       }),
     })
 
@@ -835,27 +2498,51 @@ window.createSurvey = async () => {
   }
 }
 
-// Display Active Surveys
+// Display the survey schedule grouped into upcoming, open and closed
 async function displayActiveSurveys() {
   try {
-    const response = await fetch("/api/surveys/active")
-    const surveys = await response.json()
-
     const container = document.getElementById("active-surveys")
-    // Check if container exists before setting innerHTML
+    // Check if container exists before fetching
     if (!container) {
       console.warn("active-surveys container not found")
       return
     }
 
-    container.innerHTML = surveys
+    const response = await authFetch("/api/surveys/active")
+    const schedule = await response.json()
+
+    if (!response.ok) {
+      throw new Error(schedule.error || "Failed to load survey schedule")
+    }
+
+    const groups = [
+      { key: "open", label: "Open" },
+      { key: "upcoming", label: "Upcoming" },
+      { key: "closed", label: "Closed" },
+    ]
+
+    container.innerHTML = groups
       .map(
-        (survey) => `
-            <div class="survey-card">
-                <h4>${survey.title}</h4>
-                <p>Department: ${survey.department}</p>
-                <p>Created: ${new Date(survey.createdAt).toLocaleDateString()}</p>
-            </div>
+        ({ key, label }) => `
+          <div class="department-section schedule-group">
+            <h4>${label} (${schedule[key].length})</h4>
+            ${
+              schedule[key].length === 0
+                ? "<p>None</p>"
+                : schedule[key]
+                    .map(
+                      (survey) => `
+                  <div class="survey-card" style="--survey-color: ${surveyColor(survey)}; border-color: ${surveyColor(survey)}">
+                      <div class="survey-title-box" style="background-color: ${surveyColor(survey)}">${escapeHtml(survey.title)}</div>
+                      ${formatSurveyTargeting(survey)}
+                      <p>Created: ${new Date(survey.createdAt).toLocaleDateString()}</p>
+                      ${formatSurveySchedule(survey)}
+                  </div>
+              `,
+                    )
+                    .join("")
+            }
+          </div>
         `,
       )
       .join("")
@@ -864,6 +2551,43 @@ async function displayActiveSurveys() {
   }
 }
 
+// Surveys for the participant's department and tenure band that they can still answer, in the
+// order they are answered: not submitted from this device, not already redeemed with their
+// participation code, and not needing a code they don't have. The survey form and the
+// completeness check on submit both use this, so they agree on which survey is at which index.
+// Returns { availableSurveys, needsCodeCount }: needsCodeCount surveys were left out for want of a code
+async function fetchAvailableSurveys() {
+  const submittedSurveySet = new Set(JSON.parse(localStorage.getItem("submittedSurveys") || "[]"))
+
+  const response = await fetch(
+    `/api/surveys/${encodeURIComponent(currentDepartment)}?tenure=${encodeURIComponent(currentTenure)}`,
+  )
+  const surveys = await response.json()
+
+  // The server tracks which surveys a participation code was already used for
+  const participationCode = localStorage.getItem("participationCode")
+  if (participationCode && !participationStatus) {
+    participationStatus = await fetchParticipationStatus(participationCode).catch(() => null)
+  }
+  const redeemedSurveySet = new Set(participationStatus?.redeemedSurveyIds || [])
+  const needsCodeCount = surveys.filter((survey) => !canAnswerSurvey(survey)).length
+
+  const availableSurveys = surveys
+    .filter((survey) => !submittedSurveySet.has(survey._id) && !redeemedSurveySet.has(survey._id))
+    .filter(canAnswerSurvey)
+    // Sort by createdAt date to ensure consistent ordering
+    .sort((a, b) => {
+      // First try to sort by createdAt date
+      if (a.createdAt && b.createdAt) {
+        return new Date(a.createdAt) - new Date(b.createdAt)
+      }
+      // Fallback to _id comparison if createdAt is not available
+      return a._id.localeCompare(b._id)
+    })
+
+  return { availableSurveys, needsCodeCount }
+}
+
 // Load Available Surveys
 async function loadAvailableSurveys() {
   try {
@@ -876,26 +2600,8 @@ async function loadAvailableSurveys() {
     // Add this line at the beginning of loadAvailableSurveys function, right after the container check
     clearQuestionHighlights()
 
-    // Get submitted surveys from localStorage
-    const submittedSurveyIds = JSON.parse(localStorage.getItem("submittedSurveys") || "[]")
-    const submittedSurveySet = new Set(submittedSurveyIds)
-
-    // Get available surveys for the user's department
-    const response = await fetch(`/api/surveys/${currentDepartment}`)
-    const surveys = await response.json()
-
-    // Filter out submitted surveys and ensure proper sequential ordering
-    const availableSurveys = surveys
-      .filter((survey) => !submittedSurveySet.has(survey._id))
-      // Sort by createdAt date to ensure consistent ordering
-      .sort((a, b) => {
-        // First try to sort by createdAt date
-        if (a.createdAt && b.createdAt) {
-          return new Date(a.createdAt) - new Date(b.createdAt)
-        }
-        // Fallback to _id comparison if createdAt is not available
-        return a._id.localeCompare(b._id)
-      })
+    // Get the surveys the participant can answer, for their department and tenure
+    const { availableSurveys, needsCodeCount } = await fetchAvailableSurveys()
 
     // Store the count in localStorage for navigation
     localStorage.setItem("availableSurveysCount", availableSurveys.length.toString())
@@ -906,6 +2612,7 @@ async function loadAvailableSurveys() {
         <div class="no-surveys-message">
           <h4><i class="fas fa-info-circle"></i> No Surveys Available</h4>
           <p>There are currently no surveys available for your department.</p>
+          ${needsCodeCount > 0 ? "<p>Some surveys need a participation code. Return to the dashboard to enter yours.</p>" : ""}
           <button onclick="resetSurvey()" class="btn" style="background-color: #253074; color: white; margin-top: 15px; padding: 10px 20px;">Return to Dashboard</button>
         </div>
       `
@@ -924,8 +2631,12 @@ async function loadAvailableSurveys() {
     // Store the count in localStorage for navigation
     localStorage.setItem("availableSurveysCount", availableSurveys.length.toString())
 
-    // Display the active survey
-    const activeSurvey = availableSurveys[activeIndex]
+    // Display the active survey in the participant's language and display order
+    const activeSurvey = applyDisplayOrder(
+      localizeSurvey(availableSurveys[activeIndex], currentLanguage),
+      getDisplayOrder(availableSurveys[activeIndex]),
+    )
+    currentSurvey = activeSurvey
 
     // Get saved responses to check if current survey has saved data
     const savedResponses = JSON.parse(localStorage.getItem("savedSurveyResponses") || "{}")
@@ -935,16 +2646,19 @@ async function loadAvailableSurveys() {
     const canNavigatePrevious = activeIndex > 0
 
     container.innerHTML = `
-      <div class="survey-card" style="--survey-color: ${activeSurvey.color || "#253074"}; border-color: ${activeSurvey.color || "#253074"}">
-        <div class="survey-title-box" style="background-color: ${activeSurvey.color || "#253074"}">${activeSurvey.title}</div>
-        <form onsubmit="submitSurvey(event, '${activeSurvey._id}')">
-          <div class="survey-questions-container">
-            ${generateSurveyColumns(activeSurvey.questions, activeSurvey.color)}
+      <div class="survey-card" style="--survey-color: ${surveyColor(activeSurvey)}; border-color: ${surveyColor(activeSurvey)}">
+        <div class="survey-title-box" style="background-color: ${surveyColor(activeSurvey)}">${escapeHtml(activeSurvey.title)}</div>
+        <form onsubmit="submitSurvey(event, '${activeSurvey._id}')" onchange="applyDisplayRules(this); updateAnswerProgress()" oninput="updateAnswerProgress()" data-survey-version="${activeSurvey.version}">
+          <div class="answer-progress"></div>
+          ${generateSurveySections(activeSurvey)}
+          <div class="section-navigation">
+            <button type="button" onclick="changeSurveySection(this.form, -1)" class="nav-button section-back" style="background-color: ${surveyColor(activeSurvey)}">Back</button>
+            <button type="button" onclick="changeSurveySection(this.form, 1)" class="nav-button section-next" style="background-color: ${surveyColor(activeSurvey)}">Next</button>
           </div>
           <div class="center-submit">
             ${
               activeIndex === availableSurveys.length - 1
-                ? `<button type="submit" style="background-color: ${activeSurvey.color || "#253074"}">Submit Survey</button>`
+                ? `<button type="submit" style="background-color: ${surveyColor(activeSurvey)}">Submit Survey</button>`
                 : ""
             }
           </div>
@@ -955,10 +2669,10 @@ async function loadAvailableSurveys() {
   availableSurveys.length > 1
     ? `<div class="survey-navigation">
  <div class="nav-left">
-   ${activeIndex > 0 ? `<button onclick="navigateSurvey('prev')" class="nav-button" style="background-color: ${activeSurvey.color || "#253074"}">Previous</button>` : ""}
+   ${activeIndex > 0 ? `<button onclick="navigateSurvey('prev')" class="nav-button" style="background-color: ${surveyColor(activeSurvey)}">Previous</button>` : ""}
  </div>
  <div class="nav-right">
-   ${activeIndex < availableSurveys.length - 1 ? `<button onclick="navigateSurvey('next')" class="nav-button" style="background-color: ${activeSurvey.color || "#253074"}">Next</button>` : ""}
+   ${activeIndex < availableSurveys.length - 1 ? `<button onclick="navigateSurvey('next')" class="nav-button" style="background-color: ${surveyColor(activeSurvey)}">Next</button>` : ""}
  </div>
 </div>`
     : ""
@@ -969,6 +2683,8 @@ async function loadAvailableSurveys() {
     if (hasSavedResponse) {
       restoreSavedResponses(activeSurvey._id, hasSavedResponse.answers)
     }
+    applyDisplayRules(container.querySelector("form"))
+    showSurveySection(container.querySelector("form"), 0)
 
     // Show return button in navbar when survey is loaded
     document.getElementById("return-dashboard").classList.remove("hidden")
@@ -986,13 +2702,32 @@ function restoreSavedResponses(surveyId, answers) {
   if (!answers) return
 
   Object.entries(answers).forEach(([questionKey, answer]) => {
-    const questionIndex = questionKey.replace("q", "")
+    // Matrix answers hold one rating per statement
+    if (Array.isArray(answer) && document.querySelector(`input[name="${questionKey}[0]"]`)) {
+      answer.forEach((rating, row) => {
+        document.querySelectorAll(`input[name="${questionKey}[${row}]"]`).forEach((input) => {
+          input.checked = input.value === rating
+        })
+      })
+      return
+    }
+
+    // Ranking answers are the saved item order
+    const rankingList = document.querySelector(`.ranking-list[data-question-id="${questionKey}"]`)
+    if (rankingList && Array.isArray(answer)) {
+      answer.forEach((value) => {
+        const item = Array.from(rankingList.children).find((candidate) => candidate.dataset.value === value)
+        if (item) rankingList.appendChild(item)
+      })
+      markRankingAnswered(rankingList)
+      return
+    }
 
     // Handle different input types
     const radioInputs = document.querySelectorAll(`input[name="${questionKey}"][type="radio"]`)
     const checkboxInputs = document.querySelectorAll(`input[name="${questionKey}"][type="checkbox"]`)
     const textInputs = document.querySelectorAll(
-      `input[name="${questionKey}"][type="text"], textarea[name="${questionKey}"]`,
+      `input[name="${questionKey}"]:is([type="text"], [type="number"], [type="date"], [type="range"]), textarea[name="${questionKey}"], select[name="${questionKey}"]`,
     )
 
     if (radioInputs.length > 0) {
@@ -1003,63 +2738,94 @@ function restoreSavedResponses(surveyId, answers) {
         }
       })
     } else if (checkboxInputs.length > 0) {
-      // Handle checkboxes
-      const selectedValues = answer.split(", ")
+      // Handle checkboxes; answers saved by older versions of the page are comma-joined
+      const selectedValues = Array.isArray(answer) ? answer : answer.split(", ")
       checkboxInputs.forEach((input) => {
         if (selectedValues.includes(input.value)) {
           input.checked = true
         }
       })
     } else if (textInputs.length > 0) {
-      // Handle text inputs and textareas
+      // Handle text, number, date and slider inputs, textareas and dropdowns
       textInputs[0].value = answer
+      if (textInputs[0].type === "range") {
+        textInputs[0].dataset.touched = "true"
+        textInputs[0].parentElement.querySelector(".slider-value").textContent = answer
+      }
     }
   })
 }
 
 // Function to save current form data before navigating
-function saveCurrentFormData() {
-  const form = document.querySelector("#available-surveys form")
-  if (!form) return
-
-  const formData = new FormData(form)
-  const answers = new Map()
-
-  // Collect all answers from the form
-  for (const [name, value] of formData.entries()) {
-    if (name.startsWith("q")) {
-      answers.set(name, value)
-    }
+// Collect the answers entered in a survey form, keyed by question id.
+// Checkbox answers are arrays; inputs of hidden (disabled) questions are skipped
+function collectFormAnswers(form) {
+  const answers = {}
+
+  // Collect all answers from the form; input names are question ids
+  for (const [name, value] of new FormData(form).entries()) {
+    answers[name] = value
   }
 
   // Handle checkbox inputs separately
   const checkboxGroups = new Map()
-  form.querySelectorAll('input[type="checkbox"]').forEach((checkbox) => {
+  form.querySelectorAll('input[type="checkbox"]:not(:disabled)').forEach((checkbox) => {
     const name = checkbox.name
     if (!checkboxGroups.has(name)) {
       checkboxGroups.set(name, [])
     }
 
     if (checkbox.checked) {
-      const values = checkboxGroups.get(name)
-      values.push(checkbox.value)
-      checkboxGroups.set(name, values)
+      checkboxGroups.get(name).push(checkbox.value)
     }
   })
 
-  // Add checkbox answers to the answers map
   checkboxGroups.forEach((values, name) => {
     if (values.length > 0) {
-      answers.set(name, values)
+      answers[name] = values
+    } else {
+      delete answers[name]
     }
   })
 
-  // Convert answers Map to regular object
-  const answersObject = {}
-  answers.forEach((value, key) => {
-    answersObject[key] = Array.isArray(value) ? value.join(", ") : value
+  // Sliders always hold a value; only keep the ones the participant actually moved
+  form.querySelectorAll('input[type="range"]').forEach((slider) => {
+    if (slider.dataset.touched !== "true") {
+      delete answers[slider.name]
+    }
+  })
+
+  // Ranking answers are the list order, once the participant has set it
+  form.querySelectorAll(".ranking-list").forEach((list) => {
+    if (list.dataset.touched === "true" && !list.closest(".survey-question").classList.contains("hidden")) {
+      answers[list.dataset.questionId] = Array.from(list.children, (item) => item.dataset.value)
+    }
+  })
+
+  // Matrix questions have one radio group per statement; store the ratings as one array
+  form.querySelectorAll('.survey-question[data-type="matrix"]').forEach((questionElement) => {
+    const id = questionElement.dataset.questionId
+    const ratings = Array.from({ length: Number(questionElement.dataset.rows) }, (_, row) => {
+      const value = answers[`${id}[${row}]`] ?? null
+      delete answers[`${id}[${row}]`]
+      return value
+    })
+
+    if (ratings.some((value) => value !== null)) {
+      answers[id] = ratings
+    }
   })
 
+  return answers
+}
+
+function saveCurrentFormData() {
+  const form = document.querySelector("#available-surveys form")
+  if (!form) return
+
+  // Checkbox answers are kept as arrays, the same shape the server stores
+  const answersObject = collectFormAnswers(form)
+
   // Get current survey ID
   const surveyCard = form.closest(".survey-card")
   const formElement = surveyCard.querySelector("form")
@@ -1072,10 +2838,13 @@ function saveCurrentFormData() {
 
     savedResponses[surveyId] = {
       surveyId,
+      surveyVersion: Number(formElement.dataset.surveyVersion),
       userId: `${currentDepartment}_${currentTenure}_${Date.now()}_${Math.random().toString(36).substring(2, 10)}`,
       department: currentDepartment,
       tenure: currentTenure,
+      language: currentLanguage || BASE_LANGUAGE,
       answers: answersObject,
+      displayOrder: getShownDisplayOrder(surveyId),
     }
 
     localStorage.setItem("savedSurveyResponses", JSON.stringify(savedResponses))
@@ -1118,17 +2887,7 @@ window.submitSurvey = async (event, surveyId) => {
 
   // Get current survey index and available surveys
   const activeIndex = Number.parseInt(localStorage.getItem("activeSurveyIndex") || "0")
-  const availableSurveysResponse = await fetch(`/api/surveys/${currentDepartment}`)
-  const allSurveys = await availableSurveysResponse.json()
-  const submittedSurveyIds = JSON.parse(localStorage.getItem("submittedSurveys") || "[]")
-  const availableSurveys = allSurveys
-    .filter((survey) => !submittedSurveyIds.includes(survey._id))
-    .sort((a, b) => {
-      if (a.createdAt && b.createdAt) {
-        return new Date(a.createdAt) - new Date(b.createdAt)
-      }
-      return a._id.localeCompare(b._id)
-    })
+  const { availableSurveys } = await fetchAvailableSurveys()
 
   const isLastSurvey = activeIndex === availableSurveys.length - 1
 
@@ -1139,45 +2898,18 @@ window.submitSurvey = async (event, surveyId) => {
   const savedResponses = JSON.parse(localStorage.getItem("savedSurveyResponses") || "{}")
 
   // Collect current form data
-  const formData = new FormData(form)
-  const currentAnswers = {}
-
-  // Collect all answers from current form
-  for (const [name, value] of formData.entries()) {
-    if (name.startsWith("q")) {
-      currentAnswers[name] = value
-    }
-  }
-
-  // Handle checkbox inputs separately for current form
-  const checkboxGroups = new Map()
-  form.querySelectorAll('input[type="checkbox"]').forEach((checkbox) => {
-    const name = checkbox.name
-    if (!checkboxGroups.has(name)) {
-      checkboxGroups.set(name, [])
-    }
-
-    if (checkbox.checked) {
-      const values = checkboxGroups.get(name)
-      values.push(checkbox.value)
-      checkboxGroups.set(name, values)
-    }
-  })
-
-  // Add checkbox answers to current answers
-  checkboxGroups.forEach((values, name) => {
-    if (values.length > 0) {
-      currentAnswers[name] = values.join(", ")
-    }
-  })
+  const currentAnswers = collectFormAnswers(form)
 
   // Add current survey response to saved responses
   savedResponses[surveyId] = {
     surveyId,
+    surveyVersion: Number(form.dataset.surveyVersion),
     userId: `${currentDepartment}_${currentTenure}_${Date.now()}_${Math.random().toString(36).substring(2, 10)}`,
     department: currentDepartment,
     tenure: currentTenure,
+    language: currentLanguage || BASE_LANGUAGE,
     answers: currentAnswers,
+    displayOrder: getShownDisplayOrder(surveyId),
   }
 
   // Now validate ALL surveys (saved + current) for completeness
@@ -1194,22 +2926,24 @@ window.submitSurvey = async (event, surveyId) => {
       break
     }
 
-    // Check if all questions in this survey are answered
-    for (let j = 0; j < survey.questions.length; j++) {
-      const questionKey = `q${j}`
+    // Questions hidden by display rules don't need an answer
+    const visibleIds = getVisibleQuestionIds(survey.questions, surveyResponse.answers, {
+      department: currentDepartment,
+      tenure: currentTenure,
+    })
+
+    // Check if all questions in this survey are answered, in the order they appear on its pages
+    const pageQuestions = getSurveyPages(applyDisplayOrder(survey, getDisplayOrder(survey))).flatMap(
+      (page) => page.questions,
+    )
+    for (let j = 0; j < pageQuestions.length; j++) {
+      const questionKey = pageQuestions[j]._id
       const answer = surveyResponse.answers[questionKey]
 
-      // Check if question is answered based on type
-      let isAnswered = false
-      const questionType = survey.questions[j].type
+      if (!visibleIds.has(questionKey)) continue
 
-      if (questionType === "checkbox") {
-        // For checkbox, it's optional - can be empty
-        isAnswered = true
-      } else {
-        // For all other types (text, radio, star), answer is required
-        isAnswered = answer && answer.toString().trim() !== ""
-      }
+      // Only required questions need an answer
+      const isAnswered = !isQuestionRequired(pageQuestions[j]) || isAnswerComplete(pageQuestions[j], answer)
 
       if (!isAnswered) {
         firstIncompleteIndex = i
@@ -1238,6 +2972,10 @@ window.submitSurvey = async (event, surveyId) => {
     setTimeout(() => {
       const questions = document.querySelectorAll(".survey-question")
       if (questions[firstIncompleteQuestion]) {
+        // Open the page the question is on
+        const section = questions[firstIncompleteQuestion].closest(".survey-section")
+        showSurveySection(section.closest("form"), Number(section.dataset.sectionIndex))
+
         questions[firstIncompleteQuestion].classList.add("highlight-required")
         questions[firstIncompleteQuestion].scrollIntoView({ behavior: "smooth", block: "center" })
 
@@ -1259,21 +2997,35 @@ window.submitSurvey = async (event, surveyId) => {
       // Submit all responses
       const allSubmissions = Object.values(savedResponses)
 
-      for (const responseData of allSubmissions) {
-        const response = await fetch("/api/responses", {
-          method: "POST",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify(responseData),
-        })
+      // One request for every survey: the server stores all of them or none
+      const response = await fetch("/api/responses/batch", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          responses: allSubmissions,
+          participationToken: localStorage.getItem("participationCode") || undefined,
+        }),
+      })
 
-        if (!response.ok) {
-          const data = await response.json()
-          throw new Error(data.error || "Failed to submit survey")
-        }
+      if (!response.ok) {
+        const data = await response.json()
+        // 422 lists each rejected survey along with the questions the server rejected
+        const details =
+          data.results
+            ?.map((result, index) => ({ ...result, index }))
+            .filter((result) => result.status === "rejected")
+            .map((result) => {
+              const questionErrors =
+                result.errors?.map((e) => `\n    - ${e.question || e.field || e.questionId}: ${e.message}`).join("") || ""
+              return `\n- Survey ${result.index + 1}: ${result.error}${questionErrors}`
+            })
+            .join("") || ""
+        throw new Error((data.error || "Failed to submit surveys") + details)
       }
 
       // Clear saved responses and mark all surveys as submitted
       localStorage.removeItem("savedSurveyResponses")
+      localStorage.removeItem("surveyDisplayOrders")
 
       // Add all survey IDs to submitted surveys
       allSubmissions.forEach((submission) => {
@@ -1325,12 +3077,18 @@ window.resetSurvey = () => {
   currentDepartment = null
   currentTenure = null
 
+  // Each participation code belongs to one participant
+  localStorage.removeItem("participationCode")
+  participationStatus = null
+  document.getElementById("participation-code").value = ""
+
   // Clear submitted surveys
   window.submittedSurveys.clear()
   localStorage.removeItem("submittedSurveys")
 
   // Clear saved responses
   localStorage.removeItem("savedSurveyResponses")
+  localStorage.removeItem("surveyDisplayOrders")
 
   // Hide the return button
   document.getElementById("return-dashboard").classList.add("hidden")
@@ -1340,43 +3098,304 @@ window.resetSurvey = () => {
   document.getElementById("user-info-container").classList.remove("hidden")
 }
 
+// The survey as shown in the participant's language. Only labels change: option values,
+// matrix row order and question ids stay in the base language so answers aggregate
+function localizeSurvey(survey, language) {
+  const translation = (survey.translations || []).find((entry) => entry.language === language)
+  if (!translation) return survey
+
+  const sectionEntries = new Map((translation.sections || []).map((entry) => [entry.sectionId, entry]))
+  const questionEntries = new Map((translation.questions || []).map((entry) => [entry.questionId, entry]))
+
+  return {
+    ...survey,
+    title: translation.title || survey.title,
+    sections: (survey.sections || []).map((section) => {
+      const entry = sectionEntries.get(section._id)
+      return { ...section, title: entry?.title || section.title, intro: entry?.intro || section.intro }
+    }),
+    questions: survey.questions.map((question) => {
+      const entry = questionEntries.get(question._id)
+      if (!entry) return question
+      return {
+        ...question,
+        text: entry.text || question.text,
+        optionLabels: (question.options || []).map((option, index) => entry.options?.[index] || option),
+        rows: question.rows?.map((row, index) => entry.rows?.[index] || row),
+      }
+    }),
+  }
+}
+
+// Label for one of a question's options in the participant's language
+function optionLabel(question, option, index) {
+  return question.optionLabels?.[index] || option
+}
+
+// Copy of `items` in a random order (Fisher-Yates)
+function shuffleItems(items) {
+  const shuffled = [...items]
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1))
+    ;[shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]]
+  }
+  return shuffled
+}
+
+// A new random order for a survey that shuffles questions or options, or null if it shuffles
+// nothing. Questions are shuffled within their page, then held back until the questions on the
+// same page that their display rules depend on have been placed; pinned options stay last
+function createDisplayOrder(survey) {
+  const order = {}
+
+  if (survey.shuffleQuestions) {
+    order.questions = getSurveyPages(survey).flatMap((page) => {
+      const pageIds = new Set(page.questions.map((question) => question._id))
+      const placed = new Set()
+      const pending = shuffleItems(page.questions)
+      while (placed.size < page.questions.length) {
+        const next = pending.findIndex((question) =>
+          (question.showIf?.conditions || []).every(
+            (condition) =>
+              ["tenure", "department"].includes(condition.source) ||
+              !pageIds.has(condition.questionId) ||
+              placed.has(condition.questionId),
+          ),
+        )
+        placed.add(pending.splice(next, 1)[0]._id)
+      }
+      return Array.from(placed)
+    })
+  }
+
+  survey.questions
+    .filter((question) => question.shuffleOptions && SHUFFLE_OPTION_QUESTION_TYPES.includes(question.type))
+    .forEach((question) => {
+      const pinned = (question.pinnedOptions || []).filter((option) => question.options.includes(option))
+      const shuffled = shuffleItems(question.options.filter((option) => !pinned.includes(option)))
+      order.options = { ...order.options, [question._id]: [...shuffled, ...pinned] }
+    })
+
+  return order.questions || order.options ? order : null
+}
+
+// The participant's display order for a survey. It is kept per survey version in this browser,
+// so going back to a survey or reloading the page doesn't reshuffle it, and sent with the response
+function getDisplayOrder(survey) {
+  const orders = JSON.parse(localStorage.getItem("surveyDisplayOrders") || "{}")
+  if (orders[survey._id]?.version === survey.version) {
+    return orders[survey._id].order
+  }
+
+  const order = createDisplayOrder(survey)
+  orders[survey._id] = { version: survey.version, order }
+  localStorage.setItem("surveyDisplayOrders", JSON.stringify(orders))
+  return order
+}
+
+// Display order already shown for a survey, for the submission
+function getShownDisplayOrder(surveyId) {
+  return JSON.parse(localStorage.getItem("surveyDisplayOrders") || "{}")[surveyId]?.order || undefined
+}
+
+// The survey with its questions and options in display order. Translated option labels
+// (see localizeSurvey) move with their options
+function applyDisplayOrder(survey, order) {
+  if (!order) return survey
+
+  const positions = new Map((order.questions || []).map((questionId, index) => [questionId, index]))
+  const questions = order.questions
+    ? [...survey.questions].sort((a, b) => positions.get(a._id) - positions.get(b._id))
+    : survey.questions
+
+  return {
+    ...survey,
+    questions: questions.map((question) => {
+      const options = order.options?.[question._id]
+      if (!options) return question
+
+      const labels = new Map(question.options.map((option, index) => [option, optionLabel(question, option, index)]))
+      return { ...question, options, optionLabels: options.map((option) => labels.get(option)) }
+    }),
+  }
+}
+
+// One page per section; showSurveySection shows one at a time
+function generateSurveySections(survey) {
+  let offset = 0
+
+  return getSurveyPages(survey)
+    .map((page, pageIndex) => {
+      const html = `
+        <div class="survey-section" data-section-index="${pageIndex}">
+          ${page.section ? `<h4 class="section-heading">${escapeHtml(page.section.title)}</h4>` : ""}
+          ${page.section?.intro ? `<p class="section-intro">${escapeHtml(page.section.intro)}</p>` : ""}
+          <div class="survey-questions-container">
+            ${generateSurveyColumns(page.questions, surveyColor(survey), offset)}
+          </div>
+        </div>
+      `
+      offset += page.questions.length
+      return html
+    })
+    .join("")
+}
+
+// Show one page of the survey form. Submitting and moving on to the next survey
+// are only offered on the last page
+function showSurveySection(form, index) {
+  const sections = form.querySelectorAll(".survey-section")
+  const isLastSection = index === sections.length - 1
+  form.dataset.sectionIndex = index
+
+  sections.forEach((section, sectionIndex) => section.classList.toggle("hidden", sectionIndex !== index))
+  form.querySelector(".section-navigation").classList.toggle("hidden", sections.length < 2)
+  form.querySelector(".section-back").classList.toggle("hidden", index === 0)
+  form.querySelector(".section-next").classList.toggle("hidden", isLastSection)
+  form.querySelector(".center-submit").classList.toggle("hidden", !isLastSection)
+  document.querySelector("#available-surveys .survey-navigation .nav-right")?.classList.toggle("hidden", !isLastSection)
+
+  updateAnswerProgress()
+}
+
+// Back/Next between pages; the current page is checked before moving forward
+window.changeSurveySection = (form, direction) => {
+  const current = Number(form.dataset.sectionIndex || 0)
+
+  if (direction > 0) {
+    const unanswered = getRequiredQuestionElements(form.querySelectorAll(".survey-section")[current]).filter(
+      (questionElement) => !isQuestionElementAnswered(questionElement),
+    )
+    if (unanswered.length > 0) {
+      clearQuestionHighlights()
+      unanswered.forEach((questionElement) => questionElement.classList.add("highlight-required"))
+      unanswered[0].scrollIntoView({ behavior: "smooth", block: "center" })
+      alert("Please answer all required questions on this page before continuing.")
+      return
+    }
+  }
+
+  clearQuestionHighlights()
+  saveCurrentFormData()
+  showSurveySection(form, current + direction)
+  form.closest(".survey-card").scrollIntoView({ behavior: "smooth" })
+}
+
 // Function to generate survey columns
-function generateSurveyColumns(questions, color) {
+// `offset` is the number of questions on earlier pages, so numbering and input ids stay unique
+function generateSurveyColumns(questions, color, offset = 0) {
   // Reset the question counter
-  let questionCounter = 1
+  let questionCounter = offset + 1
 
   return questions
     .map(
       (question, index) => `
-        <div class="survey-question" data-type="${question.type}" data-question-number="${questionCounter++}">
-          <p>${question.text}</p>
-          ${generateQuestionInputs(question, color, index)}
+        <div class="survey-question" data-type="${question.type}" data-question-id="${escapeHtml(question._id)}" data-required="${isQuestionRequired(question)}" data-rows="${question.rows?.length || 0}" data-question-number="${questionCounter++}">
+          <p>${escapeHtml(question.text)}${isQuestionRequired(question) ? ' <span class="required-marker">*</span>' : ""}</p>
+          ${generateQuestionInputs(question, color, index + offset)}
         </div>
       `,
     )
     .join("")
 }
 
+// Mirrors isQuestionRequired in utils/responseValidator.js: questions saved without
+// a flag keep the old behaviour where only checkboxes were optional
+function isQuestionRequired(question) {
+  return question.required ?? question.type !== "checkbox"
+}
+
+// Whether a required question has been answered; matrix questions need every statement rated
+function isAnswerComplete(question, answer) {
+  if (question.type === "matrix") {
+    return Array.isArray(answer) && answer.length === question.rows.length && answer.every((rating) => rating)
+  }
+  return answer !== undefined && answer !== null && answer.toString().trim() !== ""
+}
+
+// Browser copy of getVisibleQuestionIds in utils/surveyRules.js; keep the two in step.
+// Returns the ids of questions whose display rules pass, evaluated in order so a
+// question depending on a hidden one is hidden too
+function getVisibleQuestionIds(questions, answers = {}, participant = {}) {
+  const questionsById = new Map(questions.map((q) => [q._id, q]))
+  const visibleIds = new Set()
+
+  const answerValues = (question, answer) => {
+    if (answer === undefined || answer === null || answer === "") return []
+    if (Array.isArray(answer)) return answer.map(String)
+    if (question?.type === "checkbox") return String(answer).split(", ")
+    return [String(answer)]
+  }
+
+  const evaluateCondition = (condition) => {
+    let actual
+    if (condition.source === "tenure") {
+      actual = participant.tenure ? [participant.tenure] : []
+    } else if (condition.source === "department") {
+      actual = participant.department ? [participant.department] : []
+    } else {
+      const source = questionsById.get(condition.questionId)
+      actual = visibleIds.has(condition.questionId) ? answerValues(source, answers[condition.questionId]) : []
+    }
+
+    const matches = actual.some((value) => condition.values.includes(value))
+    return condition.operator === "notIn" ? !matches : matches
+  }
+
+  questions.forEach((question) => {
+    const results = (question.showIf?.conditions || []).map(evaluateCondition)
+    const visible =
+      results.length === 0 || (question.showIf.match === "any" ? results.some(Boolean) : results.every(Boolean))
+
+    if (visible) {
+      visibleIds.add(question._id)
+    }
+  })
+
+  return visibleIds
+}
+
+// Show/hide questions in the employee form as answers change. Hidden questions
+// have their inputs disabled so they are neither required nor submitted
+window.applyDisplayRules = (form) => {
+  if (!form || !currentSurvey) return
+
+  const visibleIds = getVisibleQuestionIds(currentSurvey.questions, collectFormAnswers(form), {
+    department: currentDepartment,
+    tenure: currentTenure,
+  })
+
+  form.querySelectorAll(".survey-question").forEach((questionElement) => {
+    const visible = visibleIds.has(questionElement.dataset.questionId)
+    questionElement.classList.toggle("hidden", !visible)
+    questionElement.querySelectorAll("input, textarea, select").forEach((input) => {
+      input.disabled = !visible
+    })
+  })
+}
+
 // Function to generate question inputs based on type
 function generateQuestionInputs(question, color, index) {
+  const required = isQuestionRequired(question) ? "required" : ""
+
   switch (question.type) {
     case "text":
-      return `<div class="input-field-container"><textarea name="q${index}" required class="response-input" rows="5" cols="150"></textarea></div>`
+      return `<div class="input-field-container"><textarea name="${escapeHtml(question._id)}" ${required} class="response-input" rows="5" cols="150"></textarea></div>`
     case "radio":
       return `
         <div class="radio-options-container">
           ${question.options
             .map(
-              (option) => `
+              (option, optionIndex) => `
                 <div class="radio-option">
                   <input 
                     type="radio" 
-                    id="q${index}_${option.replace(/\s+/g, "_")}"
-                    name="q${index}" 
-                    value="${option}"
-                    required
+                    id="q${index}_${escapeHtml(option.replace(/\s+/g, "_"))}"
+                    name="${escapeHtml(question._id)}" 
+                    value="${escapeHtml(option)}"
+                    ${required}
                   />
-                  <label for="q${index}_${option.replace(/\s+/g, "_")}">${option}</label>
+                  <label for="q${index}_${escapeHtml(option.replace(/\s+/g, "_"))}">${escapeHtml(optionLabel(question, option, optionIndex))}</label>
                 </div>
               `,
             )
@@ -1388,15 +3407,15 @@ function generateQuestionInputs(question, color, index) {
         <div class="checkbox-options-container">
           ${question.options
             .map(
-              (option) => `
+              (option, optionIndex) => `
                 <div class="checkbox-option">
                   <input 
                     type="checkbox" 
-                    id="q${index}_${option.replace(/\s+/g, "_")}"
-                    name="q${index}" 
-                    value="${option}"
+                    id="q${index}_${escapeHtml(option.replace(/\s+/g, "_"))}"
+                    name="${escapeHtml(question._id)}" 
+                    value="${escapeHtml(option)}"
                   />
-                  <label for="q${index}_${option.replace(/\s+/g, "_")}">${option}</label>
+                  <label for="q${index}_${escapeHtml(option.replace(/\s+/g, "_"))}">${escapeHtml(optionLabel(question, option, optionIndex))}</label>
                 </div>
               `,
             )
@@ -1409,19 +3428,227 @@ function generateQuestionInputs(question, color, index) {
           .map(
             (star) => `
             <label>
-              <input type="radio" name="q${index}" value="${star}" style="background-color: ${color}" />
+              <input type="radio" name="${escapeHtml(question._id)}" value="${star}" style="background-color: ${color}" />
               <i class="fas fa-star"></i>
             </label>
           `,
           )
           .join("")}
       </div>`
+    case "nps":
+      return `
+        <div class="nps-scale">
+          <span class="scale-label">Not at all likely</span>
+          ${Array.from({ length: 11 }, (_, score) => score)
+            .map(
+              (score) => `
+                <label class="nps-option">
+                  <input type="radio" name="${escapeHtml(question._id)}" value="${score}" ${required} />
+                  <span>${score}</span>
+                </label>
+              `,
+            )
+            .join("")}
+          <span class="scale-label">Extremely likely</span>
+        </div>
+      `
+    case "matrix":
+      // One radio group per statement, named "<question id>[<row>]"; collectFormAnswers folds them into an array
+      return `
+        <table class="matrix-table">
+          <thead>
+            <tr><th></th>${question.options.map((option, optionIndex) => `<th>${escapeHtml(optionLabel(question, option, optionIndex))}</th>`).join("")}</tr>
+          </thead>
+          <tbody>
+            ${question.rows
+              .map(
+                (row, rowIndex) => `
+                <tr>
+                  <td>${escapeHtml(row)}</td>
+                  ${question.options
+                    .map(
+                      (option, optionIndex) =>
+                        `<td><input type="radio" name="${escapeHtml(question._id)}[${rowIndex}]" value="${escapeHtml(option)}" aria-label="${escapeHtml(row)}: ${escapeHtml(optionLabel(question, option, optionIndex))}" ${required} /></td>`,
+                    )
+                    .join("")}
+                </tr>
+              `,
+              )
+              .join("")}
+          </tbody>
+        </table>
+      `
+    case "slider":
+      // A slider always has a value, so only count it as answered once it has been moved
+      return `
+        <div class="slider-container">
+          <span>${question.min}</span>
+          <input
+            type="range"
+            name="${escapeHtml(question._id)}"
+            min="${question.min}"
+            max="${question.max}"
+            step="${question.step || 1}"
+            value="${question.min}"
+            oninput="this.dataset.touched = 'true'; this.parentElement.querySelector('.slider-value').textContent = this.value"
+          />
+          <span>${question.max}</span>
+          <output class="slider-value">-</output>
+        </div>
+      `
+    case "dropdown":
+      return `
+        <div class="input-field-container">
+          <select name="${escapeHtml(question._id)}" class="response-input" ${required}>
+            <option value="">Select an option</option>
+            ${question.options.map((option, optionIndex) => `<option value="${escapeHtml(option)}">${escapeHtml(optionLabel(question, option, optionIndex))}</option>`).join("")}
+          </select>
+        </div>
+      `
+    case "number":
+      return `
+        <div class="input-field-container">
+          <input
+            type="number"
+            name="${escapeHtml(question._id)}"
+            class="response-input"
+            ${question.min != null ? `min="${question.min}"` : ""}
+            ${question.max != null ? `max="${question.max}"` : ""}
+            step="${question.step || "any"}"
+            ${required}
+          />
+        </div>
+      `
+    case "date":
+      return `<div class="input-field-container"><input type="date" name="${escapeHtml(question._id)}" class="response-input" ${required} /></div>`
+    case "ranking":
+      // Drag the items, or use the arrow buttons from the keyboard. Like sliders, the list always
+      // has an order, so it only counts as answered once it has been changed or confirmed
+      return `
+        <ol class="ranking-list" data-question-id="${escapeHtml(question._id)}">
+          ${question.options
+            .map(
+              (option, optionIndex) => `
+                <li class="ranking-item" draggable="true" data-value="${escapeHtml(option)}">
+                  <i class="fas fa-grip-lines ranking-handle" aria-hidden="true"></i>
+                  <span class="ranking-label">${escapeHtml(optionLabel(question, option, optionIndex))}</span>
+                  <button type="button" class="ranking-move" onclick="moveRankingItem(this, -1)" aria-label="Move ${escapeHtml(optionLabel(question, option, optionIndex))} up">
+                    <i class="fas fa-arrow-up"></i>
+                  </button>
+                  <button type="button" class="ranking-move" onclick="moveRankingItem(this, 1)" aria-label="Move ${escapeHtml(optionLabel(question, option, optionIndex))} down">
+                    <i class="fas fa-arrow-down"></i>
+                  </button>
+                </li>
+              `,
+            )
+            .join("")}
+        </ol>
+        <button type="button" class="ranking-confirm" onclick="markRankingAnswered(this.previousElementSibling)">Keep this order</button>
+      `
     default:
       return ""
   }
 }
 
-// Find the updateAnswerProgress function and replace it with this safer version
+// Ranking questions: the participant has set (or accepted) the order
+function markRankingAnswered(list) {
+  list.dataset.touched = "true"
+  const confirmButton = list.nextElementSibling
+  if (confirmButton?.classList.contains("ranking-confirm")) {
+    confirmButton.disabled = true
+    confirmButton.textContent = "Order saved"
+  }
+  updateAnswerProgress()
+}
+
+// Keyboard-accessible reordering: move the item one place up (-1) or down (1)
+window.moveRankingItem = (button, direction) => {
+  const item = button.closest(".ranking-item")
+  const list = item.parentElement
+
+  if (direction < 0 && item.previousElementSibling) {
+    list.insertBefore(item, item.previousElementSibling)
+  } else if (direction > 0 && item.nextElementSibling) {
+    list.insertBefore(item.nextElementSibling, item)
+  }
+
+  // Moving the element can drop focus; keep it on the button that was used
+  button.focus()
+  markRankingAnswered(list)
+}
+
+// Drag-and-drop reordering within a ranking list
+let draggedRankingItem = null
+
+document.addEventListener("dragstart", (e) => {
+  const item = e.target.closest?.(".ranking-item")
+  if (!item) return
+  draggedRankingItem = item
+  item.classList.add("dragging")
+  e.dataTransfer.effectAllowed = "move"
+})
+
+document.addEventListener("dragover", (e) => {
+  const target = e.target.closest?.(".ranking-item")
+  if (!draggedRankingItem || !target || target === draggedRankingItem) return
+  if (target.parentElement !== draggedRankingItem.parentElement) return
+
+  e.preventDefault()
+  // Drop above the target in its top half, below it in its bottom half
+  const { top, height } = target.getBoundingClientRect()
+  const before = e.clientY < top + height / 2
+  target.parentElement.insertBefore(draggedRankingItem, before ? target : target.nextElementSibling)
+})
+
+document.addEventListener("drop", (e) => {
+  if (draggedRankingItem && e.target.closest?.(".ranking-list")) {
+    e.preventDefault()
+  }
+})
+
+document.addEventListener("dragend", () => {
+  if (!draggedRankingItem) return
+  draggedRankingItem.classList.remove("dragging")
+  markRankingAnswered(draggedRankingItem.parentElement)
+  draggedRankingItem = null
+})
+
+// Required questions on a page that aren't hidden by display rules
+function getRequiredQuestionElements(container) {
+  return Array.from(container.querySelectorAll(".survey-question")).filter(
+    (q) => q.dataset.required === "true" && !q.classList.contains("hidden"),
+  )
+}
+
+// Whether a question in the employee form has an answer
+function isQuestionElementAnswered(q) {
+  const questionType = q.dataset.type
+
+  if (questionType === "radio") {
+    return q.querySelector('input[type="radio"]:checked') !== null
+  } else if (questionType === "checkbox") {
+    return q.querySelector('input[type="checkbox"]:checked') !== null
+  } else if (questionType === "text") {
+    const textInput = q.querySelector('input[type="text"], textarea')
+    return Boolean(textInput && textInput.value && textInput.value.trim() !== "")
+  } else if (questionType === "star" || questionType === "nps") {
+    return q.querySelector('input[type="radio"]:checked') !== null
+  } else if (questionType === "matrix") {
+    // Every statement needs a rating
+    return q.querySelectorAll('input[type="radio"]:checked').length === Number(q.dataset.rows)
+  } else if (questionType === "ranking") {
+    return q.querySelector(".ranking-list").dataset.touched === "true"
+  } else if (questionType === "slider") {
+    return q.querySelector('input[type="range"]').dataset.touched === "true"
+  } else if (["dropdown", "number", "date"].includes(questionType)) {
+    const input = q.querySelector("select, input")
+    return Boolean(input && input.value !== "")
+  }
+
+  return false
+}
+
+// Progress through the page currently shown
 function updateAnswerProgress() {
   const container = document.getElementById("available-surveys")
   if (!container) return
@@ -1429,34 +3656,34 @@ function updateAnswerProgress() {
   const surveyCard = container.querySelector(".survey-card")
   if (!surveyCard) return
 
-  const questionsContainer = surveyCard.querySelector(".survey-questions-container")
-  if (!questionsContainer) return
-
-  const questions = questionsContainer.querySelectorAll(".survey-question")
-  if (!questions || questions.length === 0) return
-
-  const answeredQuestions = Array.from(questions).filter((q) => {
-    if (!q) return false
+  const sections = Array.from(surveyCard.querySelectorAll(".survey-section"))
+  const sectionIndex = Math.max(
+    sections.findIndex((section) => !section.classList.contains("hidden")),
+    0,
+  )
+  const activeSection = sections[sectionIndex]
+  if (!activeSection) return
 
-    const questionType = q.dataset.type
-
-    if (questionType === "radio") {
-      return q.querySelector('input[type="radio"]:checked') !== null
-    } else if (questionType === "checkbox") {
-      return q.querySelector('input[type="checkbox"]:checked') !== null
-    } else if (questionType === "text") {
-      const textInput = q.querySelector('input[type="text"], textarea')
-      return textInput && textInput.value && textInput.value.trim() !== ""
-    } else if (questionType === "star") {
-      return q.querySelector('input[type="radio"]:checked') !== null
-    }
-
-    return false
-  }).length
+  const questions = getRequiredQuestionElements(activeSection)
+  const answeredQuestions = questions.filter(isQuestionElementAnswered).length
+  const percent = questions.length > 0 ? Math.round((answeredQuestions / questions.length) * 100) : 100
+  const sectionTitle = activeSection.querySelector(".section-heading")?.textContent
 
   const progressContainer = container.querySelector(".answer-progress")
   if (progressContainer) {
-    progressContainer.innerHTML = `<p>Answered ${answeredQuestions} of ${questions.length} questions</p>`
+    progressContainer.innerHTML = `
+      ${
+        sections.length > 1
+          ? `<p class="section-step">Page ${sectionIndex + 1} of ${sections.length}${sectionTitle ? `: ${escapeHtml(sectionTitle)}` : ""}</p>`
+          : ""
+      }
+      ${
+        questions.length > 0
+          ? `<div class="section-progress"><div class="section-progress-fill" style="width: ${percent}%"></div></div>
+             <p>Answered ${answeredQuestions} of ${questions.length} required questions${sections.length > 1 ? " on this page" : ""}</p>`
+          : ""
+      }
+    `
   }
 }
 
@@ -1466,7 +3693,7 @@ function loadDepartments() {
   if (deptSelect) {
     deptSelect.innerHTML = `
       <option value="" disabled selected>Select Department</option>
-      ${DEPARTMENTS.map((dept) => `<option value="${dept.value}">${dept.label}</option>`).join("")}
+      ${masterData.departments.map((dept) => `<option value="${escapeHtml(dept)}">${escapeHtml(dept)}</option>`).join("")}
     `
   }
 }
@@ -1478,6 +3705,7 @@ function logout() {
   localStorage.removeItem("surveyDepartment")
   localStorage.removeItem("surveyTenure")
   localStorage.removeItem("isAdmin")
+  localStorage.removeItem("authToken")
   localStorage.removeItem("activeSurveyIndex")
 
   // Clear session timeout
@@ -1497,10 +3725,28 @@ function logout() {
   document.getElementById("navbar-logout").classList.add("hidden")
 }
 
-// Function to clear survey form
+// Function to clear survey form and leave edit mode
 function clearSurveyForm() {
   const questionsContainer = document.getElementById("questions-container")
   questionsContainer.innerHTML = ""
+  addQuestion()
+
+  document.getElementById("survey-title").value = ""
+  document.getElementById("survey-opens-at").value = ""
+  document.getElementById("survey-closes-at").value = ""
+  document.getElementById("all-departments-checkbox").checked = false
+  setSelectedValues("admin-department")
+  setSelectedValues("admin-tenures")
+  toggleDepartmentSelect()
+  document.getElementById("require-participation-code").checked = false
+  document.getElementById("shuffle-questions").checked = false
+  showCsvImportErrors()
+  resetTranslationEditor()
+
+  editingSurveyId = null
+  document.getElementById("survey-builder-title").textContent = "Create Survey"
+  document.getElementById("save-survey-button").textContent = "Create Survey"
+  document.getElementById("cancel-edit-button").classList.add("hidden")
 }
 
 // Function to clear all question highlights
@@ -1532,8 +3778,28 @@ window.navigateSurvey = (direction) => {
   loadAvailableSurveys()
 }
 
+// Fill the participant language picker and the builder's translation picker
+function loadSurveyLanguages() {
+  const languageSelect = document.getElementById("survey-language")
+  languageSelect.innerHTML = Object.entries(SURVEY_LANGUAGES)
+    .map(([language, label]) => `<option value="${language}">${label}</option>`)
+    .join("")
+  languageSelect.value = localStorage.getItem("surveyLanguage") || BASE_LANGUAGE
+
+  document.getElementById("translation-language").innerHTML = `
+    <option value="">Choose a language</option>
+    ${Object.entries(SURVEY_LANGUAGES)
+      .filter(([language]) => language !== BASE_LANGUAGE)
+      .map(([language, label]) => `<option value="${language}">${label}</option>`)
+      .join("")}
+  `
+}
+
 // Update the DOMContentLoaded event listener
-document.addEventListener("DOMContentLoaded", () => {
+document.addEventListener("DOMContentLoaded", async () => {
+  loadSurveyLanguages()
+  await loadMasterData()
+
   // Check login state when page loads
   checkLoginState()
 
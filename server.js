@@ -3,7 +3,6 @@ import mongoose from "mongoose"
 import dotenv from "dotenv"
 import path from "path"
 import bcrypt from "bcryptjs"
-import { Parser } from "json2csv"
 import { fileURLToPath } from "url"
 import { dirname } from "path"
 import fs from "fs"
@@ -23,9 +22,57 @@ dotenv.config()
 
 // Import models with .js extension
 import User from "./server/models/user.model.js"
-import Survey from "./server/models/survey.model.js"
+import Survey, {
+  OPTION_QUESTION_TYPES,
+  RANGE_QUESTION_TYPES,
+  SHUFFLE_OPTION_QUESTION_TYPES,
+} from "./server/models/survey.model.js"
 import Response from "./server/models/response.model.js"
+import SurveyVersion from "./server/models/surveyVersion.model.js"
+import SurveyTemplate from "./server/models/surveyTemplate.model.js"
+import Department from "./server/models/department.model.js"
+import TenureBand from "./server/models/tenureBand.model.js"
 import ReportGenerator from "./utils/reportGenerator.js"
+import {
+  backfillSurveyVersions,
+  getResponseColumns,
+  saveSurveyVersion,
+} from "./utils/surveyVersions.js"
+import { validateResponse } from "./utils/responseValidator.js"
+import { cloneSurveyContent, seedBuiltInTemplates } from "./utils/surveyTemplates.js"
+import { readSurveyDefinition, toSurveyDefinition } from "./utils/surveyDefinitions.js"
+import { DEFAULT_OPTION_DELIMITER, parseSurveyCsv } from "./utils/surveyCsvImport.js"
+import { countMasterDataUsage, renameMasterData, seedMasterData } from "./utils/masterData.js"
+import {
+  buildResponseFilter,
+  createLongExport,
+  createResponsesExport,
+  createSurveyExport,
+  LONG_EXPORT_FIELDS,
+  streamCsv,
+  streamResponseDocuments,
+} from "./utils/responseExport.js"
+import { XLSX_CONTENT_TYPE, getWorkbookFilename, writeSurveyWorkbook } from "./utils/responseWorkbook.js"
+import { getStatisticsFilename, writeStatisticsBundle } from "./utils/responseStatistics.js"
+import {
+  checkParticipationToken,
+  findParticipationToken,
+  issueParticipationTokens,
+  redeemParticipationToken,
+  releaseParticipationToken,
+} from "./utils/participationTokens.js"
+import ParticipationToken from "./server/models/participationToken.model.js"
+import {
+  authenticate,
+  authenticateDownload,
+  departmentScope,
+  requirePermission,
+  revokeToken,
+  signDownloadToken,
+  signToken,
+} from "./server/middleware/auth.middleware.js"
+import { ASSIGNABLE_ROLES, getPermissions } from "./server/config/roles.config.js"
+import { BASE_LANGUAGE, SURVEY_LANGUAGES } from "./server/config/languages.config.js"
 
 const app = express()
 
@@ -88,14 +135,13 @@ mongoose
         const adminUser = new User({
           username: "admin",
           password: hashedPassword,
-          role: "admin",
+          role: "owner",
           department: "Administration",
           employeeId: 0,
           email: "dataanalysis5@kisna.com",
           isEmailVerified: true,
           emailVerificationOTP: null,
           otpExpires: null,
-          tenure: "5+ years", // This value matches the enum in the schema
         })
         await adminUser.save()
         console.log("Admin user created successfully with hashed password:", hashedPassword)
@@ -103,40 +149,64 @@ mongoose
     } catch (error) {
       console.error("Error creating admin user:", error)
     }
-  })
-  .catch((err) => console.error("MongoDB connection error:", err))
 
-// Add after your imports and before routes
-// Update the generateCSV function to handle star ratings
-async function generateCSV(csvPath) {
-  try {
-    const responses = await Response.find()
-      .populate({
-        path: "surveyId",
-        select: "title questions department",
-      })
-      .lean()
+    // Rebuild user indexes so employeeId becomes sparse for admin accounts without one
+    try {
+      await User.syncIndexes()
+    } catch (error) {
+      console.error("Error syncing user indexes:", error)
+    }
 
-    // Create a map of usernames to user data for efficient lookup
-    const userMap = new Map()
-    const usernames = [...new Set(responses.map((r) => r.userId))]
+    // Create the department and tenure band lists on first start
+    try {
+      const seeded = await seedMasterData()
+      if (seeded > 0) {
+        console.log(`Created ${seeded} department and tenure band entries`)
+      }
+    } catch (error) {
+      console.error("Error seeding departments and tenure bands:", error)
+    }
 
-    // Fetch all users whose usernames are in our responses
-    const users = await User.find({ username: { $in: usernames } }).lean()
+    // Give surveys from before multi-department targeting a departments list
+    try {
+      const backfilled = await backfillSurveyDepartments()
+      if (backfilled > 0) {
+        console.log(`Set target departments for ${backfilled} survey(s)`)
+      }
+    } catch (error) {
+      console.error("Error backfilling survey departments:", error)
+    }
 
-    // Create a map for quick lookup
-    users.forEach((user) => {
-      userMap.set(user.username, user)
-    })
+    // Record a first version for surveys created before versioning
+    try {
+      const backfilled = await backfillSurveyVersions()
+      if (backfilled > 0) {
+        console.log(`Created initial versions for ${backfilled} survey(s)`)
+      }
+    } catch (error) {
+      console.error("Error backfilling survey versions:", error)
+    }
 
-    const formattedData = responses.map((response) => {
-      // Look up the user by username
-      const user = userMap.get(response.userId)
+    // Install or refresh the built-in survey templates
+    try {
+      await seedBuiltInTemplates()
+    } catch (error) {
+      console.error("Error seeding survey templates:", error)
+    }
+  })
+  .catch((err) => console.error("MongoDB connection error:", err))
 
+// Add after your imports and before routes
+// Update the generateCSV function to handle star ratings
+async function generateCSV(csvPath, filter = {}) {
+  try {
+    // Rows are written to the file as they are read, with question text from the
+    // version each response was answered against
+    const { columnCount, rows } = await createResponsesExport(filter, (response, versions) => {
       const baseData = {
         "Survey Title": response.surveyId?.title || "Unknown Survey",
         Department: response.department || "Unknown Department",
-        Tenure: user?.tenure || "Unknown Tenure",
+        Tenure: response.tenure || "Unknown Tenure",
         "Submission Date": new Date(response.timestamp).toLocaleDateString(),
         "Submission Time": new Date(response.timestamp).toLocaleTimeString("en-US", {
           timeZone: "Asia/Kolkata",
@@ -147,39 +217,30 @@ async function generateCSV(csvPath) {
         }),
       }
 
-      if (response.surveyId?.questions) {
-        response.surveyId.questions.forEach((question, index) => {
-          const questionKey = `Question ${index + 1}`
-          const answerKey = `Answer ${index + 1}`
-          baseData[questionKey] = question.text
-          // For star rating, show the number of stars (1-5)
-          if (question.type === "star") {
-            baseData[answerKey] = `${response.answers[`q${index}`]} stars`
-          } else {
-            baseData[answerKey] = response.answers[`q${index}`] || "No answer"
-          }
-        })
-      }
+      // The section and question type go along so the report can group by section
+      // and doesn't have to guess the type from the answers
+      getResponseColumns(response, versions).forEach((column, index) => {
+        baseData[`Section ${index + 1}`] = column.section
+        baseData[`Question ${index + 1}`] = column.text
+        baseData[`Type ${index + 1}`] = column.type
+        // For star rating, show the number of stars (1-5)
+        if (column.type === "star" && column.answer !== null) {
+          baseData[`Answer ${index + 1}`] = `${column.answer} stars`
+        } else {
+          baseData[`Answer ${index + 1}`] = column.answer ?? "No answer"
+        }
+      })
 
       return baseData
     })
 
     const fields = ["Survey Title", "Department", "Tenure", "Submission Date", "Submission Time"]
 
-    const maxQuestions = Math.max(...responses.map((r) => r.surveyId?.questions?.length || 0))
-
-    for (let i = 1; i <= maxQuestions; i++) {
-      fields.push(`Question ${i}`, `Answer ${i}`)
+    for (let i = 1; i <= columnCount; i++) {
+      fields.push(`Section ${i}`, `Question ${i}`, `Type ${i}`, `Answer ${i}`)
     }
 
-    const json2csvParser = new Parser({
-      fields,
-      excelStrings: true,
-      header: true,
-    })
-
-    const csv = json2csvParser.parse(formattedData)
-    await fs.promises.writeFile(csvPath, csv)
+    await streamCsv(rows, fields, fs.createWriteStream(csvPath))
 
     return csvPath
   } catch (error) {
@@ -242,13 +303,9 @@ app.post("/api/login", async (req, res) => {
   try {
     const { username, password } = req.body
 
-    // Only allow admin login
-    if (username.toLowerCase() !== "admin") {
-      return res.status(401).json({ error: "Invalid credentials" })
-    }
-
-    const user = await User.findOne({ username: "admin" })
-    if (!user) {
+    // Only admin panel accounts that haven't been disabled can log in
+    const user = await User.findOne({ username: username?.trim().toLowerCase() })
+    if (!user || user.active === false || getPermissions(user.role).length === 0) {
       return res.status(401).json({ error: "Invalid credentials" })
     }
 
@@ -258,10 +315,14 @@ app.post("/api/login", async (req, res) => {
       return res.status(401).json({ error: "Invalid credentials" })
     }
 
+    const token = signToken(user)
+
     res.json({
+      token,
       user: {
-        username,
+        username: user.username,
         role: user.role,
+        permissions: getPermissions(user.role),
         department: user.department,
         tenure: user.tenure,
         email: user.email,
@@ -306,36 +367,166 @@ app.post("/api/verify-email", async (req, res) => {
 // Add the new departments endpoint here
 app.get("/api/departments", async (req, res) => {
   try {
-    // Fetch unique departments from your database using mongoose
-    const departments = await User.distinct("department")
-    res.json(departments)
+    // Departments participants can choose from, in display order
+    const departments = await Department.find({ active: true }).sort({ order: 1, name: 1 })
+    res.json(departments.map((department) => department.name))
   } catch (error) {
     res.status(500).json({ error: "Failed to fetch departments" })
   }
 })
 
-// Survey Routes
-// Update the POST /api/surveys route to validate star rating questions
-app.post("/api/surveys", async (req, res) => {
+app.get("/api/tenure-bands", async (req, res) => {
   try {
-    const surveyData = req.body
+    const bands = await TenureBand.find({ active: true }).sort({ order: 1, name: 1 })
+    res.json(bands.map((band) => ({ name: band.name, label: band.label || band.name })))
+  } catch (error) {
+    res.status(500).json({ error: "Failed to fetch tenure bands" })
+  }
+})
 
-    // Validate questions
-    surveyData.questions.forEach((question) => {
-      if (question.type === "star") {
-        delete question.options
-      }
-    })
+// Survey Routes
+// Filter for surveys that are active and inside their schedule window
+function openSurveyFilter(now = new Date()) {
+  return {
+    active: { $ne: false },
+    $and: [
+      { $or: [{ opensAt: null }, { opensAt: { $lte: now } }] },
+      { $or: [{ closesAt: null }, { closesAt: { $gt: now } }] },
+    ],
+  }
+}
 
-    const survey = new Survey({
-      title: surveyData.title,
-      department: surveyData.isAllDepartments ? "all" : surveyData.department,
-      questions: surveyData.questions,
-      isAllDepartments: surveyData.isAllDepartments,
-      color: surveyData.color || "#253074",
+// Where a survey is in its schedule: "upcoming", "open" or "closed"
+function getSurveyStatus(survey, now = new Date()) {
+  if (survey.active === false) return "closed"
+  if (survey.opensAt && survey.opensAt > now) return "upcoming"
+  if (survey.closesAt && survey.closesAt <= now) return "closed"
+  return "open"
+}
+
+// Whether a survey is aimed at a participant's department and tenure band
+function isSurveyTargetedAt(survey, { department, tenure }) {
+  const departments = survey.departments?.length ? survey.departments : [survey.department]
+  if (!survey.isAllDepartments && !departments.includes(department)) return false
+  return !survey.tenures?.length || survey.tenures.includes(tenure)
+}
+
+// Surveys saved before multi-department targeting only have the single department string
+async function backfillSurveyDepartments() {
+  const result = await Survey.updateMany(
+    {
+      isAllDepartments: { $ne: true },
+      department: { $nin: [null, "all"] },
+      $or: [{ departments: { $exists: false } }, { departments: { $size: 0 } }],
+    },
+    [{ $set: { departments: ["$department"] } }],
+  )
+  return result.modifiedCount
+}
+
+// Map a builder payload onto Survey fields; shared by create and edit
+function buildSurveyFields(surveyData) {
+  // Drop settings that don't apply to the question's type
+  surveyData.questions.forEach((question) => {
+    if (!OPTION_QUESTION_TYPES.includes(question.type)) {
+      delete question.options
+    }
+    if (!SHUFFLE_OPTION_QUESTION_TYPES.includes(question.type) || !question.shuffleOptions) {
+      delete question.shuffleOptions
+      delete question.pinnedOptions
+    }
+    if (question.type !== "matrix") {
+      delete question.rows
+    }
+    if (!RANGE_QUESTION_TYPES.includes(question.type)) {
+      delete question.min
+      delete question.max
+      delete question.step
+    }
+  })
+
+  // Keep questions in page order: unsectioned ones first, then section by section
+  const sections = (surveyData.sections || []).map(({ _id, title, intro }) => ({ _id, title, intro }))
+  const sectionOrder = new Map(sections.map((section, index) => [section._id, index + 1]))
+  const questions = surveyData.questions
+    .map((question, index) => ({ question, index }))
+    .sort((a, b) => {
+      const sectionA = sectionOrder.get(a.question.sectionId) ?? 0
+      const sectionB = sectionOrder.get(b.question.sectionId) ?? 0
+      return sectionA - sectionB || a.index - b.index
     })
+    .map(({ question }) => question)
+
+  // Drop translations of questions and sections that are no longer in the survey
+  const questionIds = new Set(questions.map((question) => question._id))
+  const sectionIds = new Set(sections.map((section) => section._id))
+  const translations = (surveyData.translations || []).map((translation) => ({
+    language: translation.language,
+    title: translation.title,
+    sections: (translation.sections || []).filter((entry) => sectionIds.has(entry.sectionId)),
+    questions: (translation.questions || []).filter((entry) => questionIds.has(entry.questionId)),
+  }))
+
+  // Older clients and definition files send a single department
+  const departments = surveyData.isAllDepartments
+    ? []
+    : [...new Set(surveyData.departments || (surveyData.department ? [surveyData.department] : []))]
+  const tenures = [...new Set(surveyData.tenures || [])]
+
+  return {
+    title: surveyData.title,
+    department: surveyData.isAllDepartments ? "all" : departments.join(", "),
+    departments,
+    tenures,
+    sections,
+    questions,
+    translations,
+    isAllDepartments: surveyData.isAllDepartments,
+    shuffleQuestions: Boolean(surveyData.shuffleQuestions),
+    color: surveyData.color || "#253074",
+    opensAt: surveyData.opensAt || null,
+    closesAt: surveyData.closesAt || null,
+    requireParticipationToken: Boolean(surveyData.requireParticipationToken),
+  }
+}
 
-    await survey.save()
+// Existing responses keep the version they were answered against, but list the
+// edits that make new answers incomparable with what was already collected
+function findBreakingChanges(existingQuestions, updatedQuestions) {
+  const changes = []
+  const updatedById = new Map(updatedQuestions.filter((q) => q._id).map((q) => [q._id, q]))
+
+  existingQuestions.forEach((existing) => {
+    const updated = updatedById.get(existing._id)
+
+    if (!updated) {
+      changes.push(`"${existing.text}" was removed; its existing answers will only appear in older versions`)
+      return
+    }
+    if (updated.type !== existing.type) {
+      changes.push(`"${existing.text}" changed type from ${existing.type} to ${updated.type}`)
+    }
+
+    const removedOptions = (existing.options || []).filter((option) => !(updated.options || []).includes(option))
+    if (updated.type === existing.type && removedOptions.length > 0) {
+      changes.push(`"${existing.text}" no longer offers: ${removedOptions.join(", ")}`)
+    }
+
+    const removedRows = (existing.rows || []).filter((row) => !(updated.rows || []).includes(row))
+    if (updated.type === existing.type && removedRows.length > 0) {
+      changes.push(`"${existing.text}" no longer asks about: ${removedRows.join(", ")}`)
+    }
+  })
+
+  return changes
+}
+
+// Update the POST /api/surveys route to validate star rating questions
+app.post("/api/surveys", authenticate, requirePermission("surveys:write"), async (req, res) => {
+  try {
+    const survey = new Survey(buildSurveyFields(req.body))
+
+    await saveSurveyVersion(survey)
     res.json({ success: true, survey })
   } catch (error) {
     console.error("Survey creation error:", error)
@@ -343,7 +534,39 @@ app.post("/api/surveys", async (req, res) => {
   }
 })
 
-app.get("/api/surveys/all", async (req, res) => {
+// Edit a survey, saving the result as a new version. If it already has responses,
+// changes that would split results across versions are returned as a 409 unless
+// the client confirms with force
+app.put("/api/surveys/:id", authenticate, requirePermission("surveys:write"), async (req, res) => {
+  try {
+    const survey = await Survey.findById(req.params.id)
+    if (!survey) {
+      return res.status(404).json({ error: "Survey not found" })
+    }
+
+    const fields = buildSurveyFields(req.body)
+
+    const hasResponses = await Response.exists({ surveyId: survey._id })
+    if (hasResponses && !req.body.force) {
+      const breakingChanges = findBreakingChanges(survey.questions, fields.questions)
+      if (breakingChanges.length > 0) {
+        return res.status(409).json({
+          error: "This survey already has responses and the edit would change how they are labelled",
+          breakingChanges,
+        })
+      }
+    }
+
+    survey.set(fields)
+    await saveSurveyVersion(survey)
+    res.json({ success: true, survey })
+  } catch (error) {
+    console.error("Survey update error:", error)
+    res.status(400).json({ error: error.message })
+  }
+})
+
+app.get("/api/surveys/all", authenticate, requirePermission("surveys:read"), async (req, res) => {
   try {
     const surveys = await Survey.find({})
     res.json(surveys)
@@ -352,12 +575,37 @@ app.get("/api/surveys/all", async (req, res) => {
   }
 })
 
+// Admin schedule view; registered before /:department so "active" isn't taken as a department
+app.get("/api/surveys/active", authenticate, requirePermission("surveys:read"), async (req, res) => {
+  try {
+    const now = new Date()
+    const surveys = await Survey.find({}).sort({ opensAt: 1, createdAt: 1 })
+
+    const schedule = { upcoming: [], open: [], closed: [] }
+    surveys.forEach((survey) => {
+      schedule[getSurveyStatus(survey, now)].push(survey)
+    })
+
+    res.json(schedule)
+  } catch (error) {
+    res.status(500).json({ error: "Failed to fetch survey schedule" })
+  }
+})
+
+// Open surveys for a participant's department and, when given, their ?tenure= band.
+// Without a tenure only surveys open to every tenure are returned
 app.get("/api/surveys/:department", async (req, res) => {
   try {
-    const query = {
-      $or: [{ department: req.params.department }, { isAllDepartments: true }],
+    // Participants only get surveys that are currently open
+    const filter = openSurveyFilter()
+    filter.$and.push({ $or: [{ departments: req.params.department }, { isAllDepartments: true }] })
+    const tenureTargets = [{ tenures: { $exists: false } }, { tenures: { $size: 0 } }]
+    if (req.query.tenure) {
+      tenureTargets.push({ tenures: req.query.tenure })
     }
-    const surveys = await Survey.find(query)
+    filter.$and.push({ $or: tenureTargets })
+
+    const surveys = await Survey.find(filter)
     res.json(surveys)
   } catch (error) {
     res.status(500).json({ error: "Failed to fetch surveys" })
@@ -365,7 +613,7 @@ app.get("/api/surveys/:department", async (req, res) => {
 })
 
 // Add this with your other survey routes
-app.delete("/api/surveys/:id", async (req, res) => {
+app.delete("/api/surveys/:id", authenticate, requirePermission("surveys:delete"), async (req, res) => {
   try {
     const surveyId = req.params.id
 
@@ -376,8 +624,9 @@ app.delete("/api/surveys/:id", async (req, res) => {
       return res.status(404).json({ error: "Survey not found" })
     }
 
-    // Delete associated responses
+    // Delete associated responses and versions
     await Response.deleteMany({ surveyId: surveyId })
+    await SurveyVersion.deleteMany({ surveyId: surveyId })
 
     res.json({ success: true, message: "Survey deleted successfully" })
   } catch (error) {
@@ -386,54 +635,421 @@ app.delete("/api/surveys/:id", async (req, res) => {
   }
 })
 
+// Copy a survey's questions and settings into a new survey with fresh question ids.
+// The copy starts with no responses and, unless one is given, no schedule
+app.post("/api/surveys/:id/duplicate", authenticate, requirePermission("surveys:write"), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: "Invalid survey ID" })
+    }
+
+    const original = await Survey.findById(req.params.id)
+    if (!original) {
+      return res.status(404).json({ error: "Survey not found" })
+    }
+
+    const content = cloneSurveyContent(original)
+    const survey = new Survey({
+      ...content,
+      title: req.body.title?.trim() || `Copy of ${original.title}`,
+      department: original.department,
+      departments: original.departments,
+      tenures: original.tenures,
+      isAllDepartments: original.isAllDepartments,
+      shuffleQuestions: original.shuffleQuestions,
+      requireParticipationToken: original.requireParticipationToken,
+      opensAt: req.body.opensAt || null,
+      closesAt: req.body.closesAt || null,
+    })
+
+    await saveSurveyVersion(survey)
+    res.status(201).json({ success: true, survey })
+  } catch (error) {
+    console.error("Survey duplicate error:", error)
+    res.status(400).json({ error: error.message })
+  }
+})
+
+// Download a survey as a versioned JSON definition, e.g. to copy it from staging to production
+app.get("/api/surveys/:id/definition", authenticate, requirePermission("surveys:read"), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: "Invalid survey ID" })
+    }
+
+    const survey = await Survey.findById(req.params.id)
+    if (!survey) {
+      return res.status(404).json({ error: "Survey not found" })
+    }
+
+    const filename = `${survey.title.replace(/[^a-z0-9]+/gi, "-").replace(/^-|-$/g, "").toLowerCase() || "survey"}.json`
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`)
+    res.json(toSurveyDefinition(survey))
+  } catch (error) {
+    console.error("Survey definition export error:", error)
+    res.status(500).json({ error: "Failed to export survey" })
+  }
+})
+
+// Create a survey from an exported definition. The survey starts unscheduled
+app.post("/api/surveys/import", authenticate, requirePermission("surveys:write"), async (req, res) => {
+  const { survey: definition, error } = readSurveyDefinition(req.body)
+  if (error) {
+    return res.status(400).json({ error })
+  }
+
+  try {
+    const survey = new Survey(buildSurveyFields(definition))
+    await saveSurveyVersion(survey)
+    res.status(201).json({ success: true, survey })
+  } catch (error) {
+    if (error instanceof mongoose.Error.ValidationError) {
+      return res.status(400).json({
+        error: "Survey definition is not valid",
+        errors: Object.entries(error.errors).map(([path, err]) => `${path}: ${err.message}`),
+      })
+    }
+    console.error("Survey import error:", error)
+    res.status(400).json({ error: error.message })
+  }
+})
+
+// Turn an uploaded CSV (one question per row) into a draft the builder can show for editing.
+// Nothing is saved; the draft goes through the normal create route once it has been reviewed
+app.post(
+  "/api/surveys/csv-preview",
+  authenticate,
+  requirePermission("surveys:write"),
+  express.text({ type: ["text/csv", "text/plain"], limit: "1mb" }),
+  async (req, res) => {
+    try {
+      if (typeof req.body !== "string" || !req.body.trim()) {
+        return res.status(400).json({ error: "Upload a CSV file with one question per row" })
+      }
+
+      const delimiter = req.query.delimiter || DEFAULT_OPTION_DELIMITER
+      if (delimiter.length > 3 || delimiter.includes(",")) {
+        return res.status(400).json({ error: "The option delimiter must be up to 3 characters and not a comma" })
+      }
+
+      res.json(await parseSurveyCsv(req.body, { delimiter }))
+    } catch (error) {
+      console.error("Survey CSV preview error:", error)
+      res.status(400).json({ error: "Could not read the CSV file" })
+    }
+  },
+)
+
 // Response Routes
-app.post("/api/responses", async (req, res) => {
+// Check a single survey submission and build its (unsaved) Response document.
+// `token` is the participant's participation token, if they supplied a code.
+// Returns { response, requiresToken } or { status, error, errors } describing why it was rejected
+async function prepareResponse(submission, token) {
+  // Extract data from request
+  const { surveyId, userId, department, tenure, answers, displayOrder } = submission
+
+  if (!mongoose.isValidObjectId(surveyId)) {
+    return { status: 400, error: "Invalid survey ID" }
+  }
+
+  const survey = await Survey.findById(surveyId)
+  if (!survey) {
+    return { status: 404, error: "Survey not found" }
+  }
+
+  const status = getSurveyStatus(survey)
+  if (status !== "open") {
+    return { status: 403, error: status === "upcoming" ? "This survey is not open yet" : "This survey is closed" }
+  }
+
+  if (!isSurveyTargetedAt(survey, { department, tenure })) {
+    return { status: 403, error: "This survey is not open to your department or tenure" }
+  }
+
+  if (survey.requireParticipationToken) {
+    const tokenCheck = checkParticipationToken(token, survey._id)
+    if (!tokenCheck.ok) {
+      return { status: tokenCheck.status, error: tokenCheck.error }
+    }
+  }
+
+  // Tie the answers to the version the participant was shown, if it's a known one
+  const requestedVersion = Number(submission.surveyVersion)
+  const version =
+    (requestedVersion && (await SurveyVersion.findOne({ surveyId, version: requestedVersion }).lean())) ||
+    (await SurveyVersion.findOne({ surveyId, version: survey.version }).lean())
+  const questions = version?.questions || survey.questions
+
+  // Check answers against the survey definition; answers to hidden questions aren't stored
+  const validation = validateResponse({
+    survey,
+    questions,
+    answers,
+    displayOrder,
+    participant: { department, tenure },
+  })
+  if (validation.errors.length > 0) {
+    return { status: 422, error: "Invalid submission", errors: validation.errors }
+  }
+
+  // Create response object
+  const response = new Response({
+    surveyId,
+    surveyVersion: version?.version || survey.version,
+    userId,
+    department,
+    answers: validation.answers,
+    displayOrder: validation.displayOrder,
+    // Add tenure to the response
+    tenure,
+    language: SURVEY_LANGUAGES[submission.language] ? submission.language : BASE_LANGUAGE,
+  })
+
+  // Also checks the department and tenure band against the managed lists
   try {
-    // Extract data from request
-    const { surveyId, userId, department, tenure, answers } = req.body
+    await response.validate()
+  } catch (modelError) {
+    return { status: 400, error: modelError.message }
+  }
 
-    // Create response object
-    const response = new Response({
-      surveyId,
-      userId,
-      department,
-      answers,
-      // Add tenure to the response
-      tenure,
+  return { response, requiresToken: survey.requireParticipationToken }
+}
+
+// Standalone MongoDB (as in docker-compose.yml) doesn't support transactions
+function isTransactionUnsupported(error) {
+  return error.code === 20 || /Transaction numbers are only allowed/.test(error.message)
+}
+
+// Store all responses or none of them: in a transaction where the server supports
+// one, otherwise by deleting whatever was inserted if any insert fails
+async function saveResponsesAtomically(responses) {
+  const session = await mongoose.startSession()
+  try {
+    await session.withTransaction(async () => {
+      await Response.insertMany(responses, { session })
     })
+  } catch (error) {
+    if (!isTransactionUnsupported(error)) throw error
+
+    try {
+      await Response.insertMany(responses)
+    } catch (insertError) {
+      await Response.deleteMany({ _id: { $in: responses.map((response) => response._id) } })
+      throw insertError
+    }
+  } finally {
+    await session.endSession()
+  }
+}
+
+app.post("/api/responses", async (req, res) => {
+  try {
+    const { token, error: tokenError } = await loadParticipationToken(req.body.participationToken)
+    if (tokenError) {
+      return res.status(403).json({ error: tokenError })
+    }
+
+    const prepared = await prepareResponse(req.body, token)
+    const { response, status, error, errors } = prepared
+    if (!response) {
+      return res.status(status).json({ error, errors })
+    }
 
-    await response.save()
+    if (!(await storeResponses([prepared], token))) {
+      return res.status(409).json({ error: "This participation code has already been used" })
+    }
     res.json(response)
   } catch (error) {
     res.status(400).json({ error: error.message })
   }
 })
 
-app.get("/api/responses/user/:username", async (req, res) => {
+// Redeem the participation code for every survey that asks for one, then store the
+// responses. Returns false if the code was used up in the meantime; the redemption
+// is undone if the responses can't be stored
+async function storeResponses(prepared, token) {
+  const tokenSurveyIds = prepared.filter((result) => result.requiresToken).map((result) => result.response.surveyId)
+
+  if (tokenSurveyIds.length > 0 && !(await redeemParticipationToken(token, tokenSurveyIds))) {
+    return false
+  }
+
+  try {
+    await saveResponsesAtomically(prepared.map((result) => result.response))
+  } catch (error) {
+    if (tokenSurveyIds.length > 0) {
+      await releaseParticipationToken(token, tokenSurveyIds)
+    }
+    throw error
+  }
+  return true
+}
+
+// A supplied participation code must exist and not have expired
+async function loadParticipationToken(code) {
+  if (!code) return { token: null }
+  const token = await findParticipationToken(code)
+  return token ? { token } : { error: "Invalid or expired participation code" }
+}
+
+// Submit all of a participant's pending surveys together. Every submission is
+// validated first; nothing is stored unless all of them are valid
+app.post("/api/responses/batch", async (req, res) => {
+  try {
+    const submissions = req.body.responses
+    if (!Array.isArray(submissions) || submissions.length === 0) {
+      return res.status(400).json({ error: "responses must be a non-empty array" })
+    }
+
+    const surveyIds = submissions.map((submission) => String(submission.surveyId))
+    if (new Set(surveyIds).size !== surveyIds.length) {
+      return res.status(400).json({ error: "Each survey can only be submitted once per batch" })
+    }
+
+    // One code covers the whole batch; it's never copied onto the responses
+    const { token, error: tokenError } = await loadParticipationToken(req.body.participationToken)
+    if (tokenError) {
+      return res.status(403).json({ error: tokenError })
+    }
+
+    const prepared = []
+    for (const submission of submissions) {
+      prepared.push(await prepareResponse(submission, token))
+    }
+
+    const results = prepared.map((result, index) =>
+      result.response
+        ? { surveyId: surveyIds[index], status: "valid" }
+        : { surveyId: surveyIds[index], status: "rejected", error: result.error, errors: result.errors },
+    )
+
+    if (prepared.some((result) => !result.response)) {
+      return res.status(422).json({ error: "Some surveys could not be submitted; nothing was saved", results })
+    }
+
+    if (!(await storeResponses(prepared, token))) {
+      return res.status(409).json({ error: "This participation code has already been used; nothing was saved" })
+    }
+
+    const responses = prepared.map((result) => result.response)
+
+    res.json({
+      success: true,
+      results: responses.map((response) => ({
+        surveyId: response.surveyId.toString(),
+        status: "saved",
+        responseId: response._id,
+      })),
+    })
+  } catch (error) {
+    console.error("Batch submission error:", error)
+    res.status(500).json({ error: "Failed to submit responses; nothing was saved" })
+  }
+})
+
+app.get("/api/responses/user/:username", authenticate, requirePermission("responses:read"), async (req, res) => {
   try {
-    const responses = await Response.find({ userId: req.params.username })
+    const responses = await Response.find({ userId: req.params.username, ...departmentScope(req.user) })
     res.json(responses)
   } catch (error) {
     res.status(500).json({ error: "Error fetching user responses" })
   }
 })
 
+// Filter and format of an export request, or { error }
+function readExportRequest(req) {
+  // Filters always stay within what the user is allowed to see
+  const { filter, error } = buildResponseFilter(req.query, departmentScope(req.user))
+  if (error) {
+    return { error }
+  }
+
+  const format = req.query.format || "csv"
+  if (!["csv", "xlsx", "stats", "long", "json", "ndjson"].includes(format)) {
+    return { error: "format must be csv, xlsx, stats, long, json or ndjson" }
+  }
+  if (format === "xlsx" && !filter.surveyId) {
+    return { error: "Choose a survey for the Excel export" }
+  }
+  if (format === "stats" && !filter.surveyId) {
+    return { error: "Choose a survey for the SPSS / R export" }
+  }
+
+  return { filter, format }
+}
+
+// Single-use link to GET /api/responses/export with the same query, valid for a minute. The
+// browser follows it itself, so the download starts straight away instead of being buffered
+app.post("/api/responses/export/link", authenticate, requirePermission("responses:export"), (req, res) => {
+  const { error } = readExportRequest(req)
+  if (error) {
+    return res.status(400).json({ error })
+  }
+
+  const path = "/api/responses/export"
+  const query = new URLSearchParams(req.query)
+  query.set("downloadToken", signDownloadToken(req.user, path))
+  res.json({ url: `${path}?${query}` })
+})
+
 // Also update the /api/responses/export endpoint to use the same logic
-app.get("/api/responses/export", async (req, res) => {
+// Export responses as CSV, filtered by ?surveyId=&department=&tenure=&from=&to=. With a survey
+// the columns are that survey's questions; without one every survey shares generic
+// Question N / Answer N columns. ?format=xlsx exports one survey as an Excel workbook instead,
+// ?format=long a CSV with one row per response and question, and ?format=json or ?format=ndjson
+// the raw response documents with the survey definition they were answered against embedded.
+// ?format=stats zips one survey's numeric-coded CSV with SPSS syntax and an R script that label it.
+// Browsers download it through a link from POST /api/responses/export/link, so it streams to disk
+app.get("/api/responses/export", authenticateDownload, requirePermission("responses:export"), async (req, res) => {
   try {
-    // First, get all responses
-    const responses = await Response.find()
-      .populate({
-        path: "surveyId",
-        select: "title questions department",
-      })
-      .lean()
+    const { filter, format, error } = readExportRequest(req)
+    if (error) {
+      return res.status(400).json({ error })
+    }
 
-    const formattedData = responses.map((response) => {
+    if (format === "long") {
+      const rows = await createLongExport(filter)
+      res.setHeader("Content-Type", "text/csv")
+      res.setHeader("Content-Disposition", 'attachment; filename="survey_responses_long.csv"')
+      return await streamCsv(rows, LONG_EXPORT_FIELDS, res)
+    }
+
+    if (format === "json" || format === "ndjson") {
+      res.setHeader("Content-Type", format === "ndjson" ? "application/x-ndjson" : "application/json")
+      res.setHeader("Content-Disposition", `attachment; filename="survey_responses.${format}"`)
+      return await streamResponseDocuments(filter, res, { ndjson: format === "ndjson" })
+    }
+
+    if (filter.surveyId) {
+      const surveyExport = await createSurveyExport(filter)
+      if (!surveyExport) {
+        return res.status(404).json({ error: "Survey not found" })
+      }
+
+      if (format === "xlsx") {
+        res.setHeader("Content-Type", XLSX_CONTENT_TYPE)
+        res.setHeader("Content-Disposition", `attachment; filename="${getWorkbookFilename(surveyExport.survey)}"`)
+        return await writeSurveyWorkbook(surveyExport, filter, res)
+      }
+
+      if (format === "stats") {
+        res.setHeader("Content-Type", "application/zip")
+        res.setHeader("Content-Disposition", `attachment; filename="${getStatisticsFilename(surveyExport.survey)}"`)
+        return await writeStatisticsBundle(surveyExport, filter, res)
+      }
+
+      res.setHeader("Content-Type", "text/csv")
+      res.setHeader("Content-Disposition", `attachment; filename="${surveyExport.filename}"`)
+      return await streamCsv(surveyExport.rows, surveyExport.fields, res)
+    }
+
+    // Rows are written as they are read, with question text from the version each response was answered against
+    const { columnCount, rows } = await createResponsesExport(filter, (response, versions) => {
       const baseData = {
         "Survey Title": response.surveyId?.title || "Unknown Survey",
         Department: response.department || "Unknown Department",
         Tenure: response.tenure || "Unknown Tenure",
+        Language: SURVEY_LANGUAGES[response.language || BASE_LANGUAGE] || response.language,
         "Submission Date": new Date(response.timestamp).toLocaleDateString(),
         "Submission Time": new Date(response.timestamp).toLocaleTimeString("en-US", {
           timeZone: "Asia/Kolkata",
@@ -442,42 +1058,44 @@ app.get("/api/responses/export", async (req, res) => {
           minute: "2-digit",
           second: "2-digit",
         }),
+        // Only surveys that shuffle questions or options record what each participant saw
+        "Display Order":
+          response.displayOrder?.questions || response.displayOrder?.options
+            ? JSON.stringify(response.displayOrder)
+            : "",
       }
 
-      // Add each question and its corresponding answer
-      if (response.surveyId?.questions) {
-        response.surveyId.questions.forEach((question, index) => {
-          const questionKey = `Question ${index + 1}`
-          const answerKey = `Answer ${index + 1}`
-          baseData[questionKey] = question.text
-          baseData[answerKey] = response.answers[`q${index}`] || "No answer"
-        })
-      }
+      // Add each question and its corresponding answer; matrix statements get a column each
+      getResponseColumns(response, versions).forEach((column, index) => {
+        baseData[`Section ${index + 1}`] = column.section
+        baseData[`Question ${index + 1}`] = column.text
+        baseData[`Answer ${index + 1}`] = column.answer ?? "No answer"
+      })
 
       return baseData
     })
 
-    const fields = ["Survey Title", "Department", "Tenure", "Submission Date", "Submission Time"]
-
-    const maxQuestions = Math.max(...responses.map((r) => r.surveyId?.questions?.length || 0))
-
-    for (let i = 1; i <= maxQuestions; i++) {
-      fields.push(`Question ${i}`, `Answer ${i}`)
+    const fields = [
+      "Survey Title",
+      "Department",
+      "Tenure",
+      "Language",
+      "Submission Date",
+      "Submission Time",
+      "Display Order",
+    ]
+
+    for (let i = 1; i <= columnCount; i++) {
+      fields.push(`Section ${i}`, `Question ${i}`, `Answer ${i}`)
     }
 
-    const json2csvParser = new Parser({
-      fields,
-      excelStrings: true,
-      header: true,
-    })
-
-    const csv = json2csvParser.parse(formattedData)
-
     res.setHeader("Content-Type", "text/csv")
     res.setHeader("Content-Disposition", 'attachment; filename="survey_responses.csv"')
-    res.status(200).send(csv)
+    await streamCsv(rows, fields, res)
   } catch (error) {
     console.error("Export error:", error)
+    // Once streaming has started the download can only be cut short
+    if (res.headersSent) return
     res.status(500).json({ error: "Failed to export responses: " + error.message })
   }
 })
@@ -499,16 +1117,21 @@ app.listen(PORT, () => {
 // const ReportGenerator = require('./reportGenerator');
 
 // Add this new route
-app.get("/api/responses/analysis", async (req, res) => {
+app.get("/api/responses/analysis", authenticate, requirePermission("responses:export"), async (req, res) => {
   try {
     // Create temporary CSV file path
     const csvPath = path.join(tempDir, `responses_${Date.now()}.csv`)
 
-    // Generate CSV first
-    await generateCSV(csvPath)
+    // Generate CSV first, limited to what the user may see and the export filters
+    const { filter, error } = buildResponseFilter(req.query, departmentScope(req.user))
+    if (error) {
+      return res.status(400).json({ error })
+    }
+    await generateCSV(csvPath, filter)
 
-    // Initialize report generator with CSV path
-    const generator = new ReportGenerator(csvPath)
+    // Initialize report generator with CSV path; departments are reported in the managed order
+    const departments = await Department.find({}).sort({ order: 1, name: 1 })
+    const generator = new ReportGenerator(csvPath, { departments: departments.map((department) => department.name) })
     await generator.initialize()
 
     // Generate analysis
@@ -644,19 +1267,419 @@ app.post("/api/reset-password", async (req, res) => {
   }
 })
 
-// Add this new endpoint for session verification
-app.get("/api/verify-session", async (req, res) => {
+// Session verification - authenticate rejects missing, expired, revoked and disabled sessions
+app.get("/api/verify-session", authenticate, (req, res) => {
+  res.json({
+    success: true,
+    user: {
+      username: req.user.username,
+      role: req.user.role,
+      permissions: req.permissions,
+      department: req.user.department,
+    },
+  })
+})
+
+// Logout revokes the current token so it can't be replayed
+app.post("/api/logout", authenticate, async (req, res) => {
   try {
-    // This is a simple endpoint that just returns success
-    // In a real application, you would verify the session token here
+    await revokeToken(req.tokenPayload)
     res.json({ success: true })
   } catch (error) {
-    res.status(401).json({ error: "Invalid session" })
+    console.error("Logout error:", error)
+    res.status(500).json({ error: "Failed to log out" })
+  }
+})
+
+// Admin account management
+function formatAdminUser(user) {
+  return {
+    _id: user._id,
+    username: user.username,
+    role: user.role,
+    department: user.department,
+    email: user.email,
+    active: user.active !== false,
+  }
+}
+
+app.get("/api/admin/users", authenticate, requirePermission("users:manage"), async (req, res) => {
+  try {
+    const users = await User.find({ role: { $ne: "employee" } }).sort({ username: 1 }).lean()
+    res.json(users.map(formatAdminUser))
+  } catch (error) {
+    res.status(500).json({ error: "Failed to fetch admin users" })
   }
 })
 
-// Add this new endpoint for logout
-app.post("/api/logout", (req, res) => {
-  // In a real application with server-side sessions, you would invalidate the session here
-  res.json({ success: true })
+app.post("/api/admin/users", authenticate, requirePermission("users:manage"), async (req, res) => {
+  try {
+    const { username, password, role, department, email } = req.body
+
+    if (!username || !password || !department) {
+      return res.status(400).json({ error: "Username, password and department are required" })
+    }
+    if (!ASSIGNABLE_ROLES.includes(role)) {
+      return res.status(400).json({ error: "Invalid role" })
+    }
+
+    const normalizedUsername = username.trim().toLowerCase()
+    if (await User.exists({ username: normalizedUsername })) {
+      return res.status(400).json({ error: "Username already exists" })
+    }
+
+    const user = new User({
+      username: normalizedUsername,
+      password: await bcrypt.hash(password, 10),
+      role,
+      department,
+      email,
+      isEmailVerified: true,
+    })
+    await user.save()
+
+    res.json({ success: true, user: formatAdminUser(user) })
+  } catch (error) {
+    console.error("Admin user creation error:", error)
+    res.status(400).json({ error: error.message })
+  }
 })
+
+// Re-role, move, disable/enable or reset the password of an admin account
+app.patch("/api/admin/users/:id", authenticate, requirePermission("users:manage"), async (req, res) => {
+  try {
+    const { role, department, active, password } = req.body
+
+    const user = await User.findById(req.params.id)
+    if (!user || user.role === "employee") {
+      return res.status(404).json({ error: "Admin user not found" })
+    }
+
+    // Don't let owners lock themselves out
+    const isSelf = user._id.equals(req.user._id)
+    if (isSelf && (active === false || (role && role !== user.role))) {
+      return res.status(400).json({ error: "You cannot disable or change the role of your own account" })
+    }
+
+    if (role !== undefined) {
+      if (!ASSIGNABLE_ROLES.includes(role)) {
+        return res.status(400).json({ error: "Invalid role" })
+      }
+      user.role = role
+    }
+    if (department !== undefined) user.department = department
+    if (active !== undefined) user.active = Boolean(active)
+    if (password) user.password = await bcrypt.hash(password, 10)
+
+    await user.save()
+    res.json({ success: true, user: formatAdminUser(user) })
+  } catch (error) {
+    console.error("Admin user update error:", error)
+    res.status(400).json({ error: error.message })
+  }
+})
+
+// Participation codes
+const MAX_CODES_PER_BATCH = 1000
+const KIOSK_CODE_HOURS = Number(process.env.KIOSK_CODE_HOURS) || 4
+
+// Issue a batch of one-time invite codes to hand out, one per invitee
+app.post("/api/participation/tokens", authenticate, requirePermission("participation:issue"), async (req, res) => {
+  try {
+    const count = Number.parseInt(req.body.count, 10)
+    if (!count || count < 1 || count > MAX_CODES_PER_BATCH) {
+      return res.status(400).json({ error: `count must be between 1 and ${MAX_CODES_PER_BATCH}` })
+    }
+
+    const expiresInDays = Number(req.body.expiresInDays) || 30
+    if (expiresInDays <= 0 || expiresInDays > 365) {
+      return res.status(400).json({ error: "expiresInDays must be between 1 and 365" })
+    }
+
+    const surveyIds = Array.isArray(req.body.surveyIds) ? req.body.surveyIds : []
+    if (surveyIds.some((id) => !mongoose.isValidObjectId(id))) {
+      return res.status(400).json({ error: "Invalid survey ID" })
+    }
+    if ((await Survey.countDocuments({ _id: { $in: surveyIds } })) !== surveyIds.length) {
+      return res.status(404).json({ error: "Survey not found" })
+    }
+
+    const batch = await issueParticipationTokens({
+      count,
+      kind: "invite",
+      surveyIds,
+      expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000),
+      label: req.body.label?.trim() || undefined,
+      createdBy: req.user._id,
+    })
+
+    res.status(201).json(batch)
+  } catch (error) {
+    console.error("Participation code issue error:", error)
+    res.status(500).json({ error: "Failed to issue participation codes" })
+  }
+})
+
+// Issued batches with how many of their codes have been used
+app.get("/api/participation/batches", authenticate, requirePermission("participation:issue"), async (req, res) => {
+  try {
+    const batches = await ParticipationToken.aggregate([
+      { $match: { kind: "invite" } },
+      {
+        $group: {
+          _id: "$batchId",
+          label: { $first: "$label" },
+          surveyIds: { $first: "$surveyIds" },
+          createdAt: { $min: "$createdAt" },
+          expiresAt: { $max: "$expiresAt" },
+          issued: { $sum: 1 },
+          used: { $sum: { $cond: [{ $gt: [{ $size: "$redeemedSurveyIds" }, 0] }, 1, 0] } },
+        },
+      },
+      { $sort: { createdAt: -1 } },
+    ])
+
+    res.json(batches.map(({ _id, ...batch }) => ({ batchId: _id, ...batch })))
+  } catch (error) {
+    console.error("Participation batch list error:", error)
+    res.status(500).json({ error: "Failed to load participation codes" })
+  }
+})
+
+// Kiosk terminals get a fresh single-use code for each person that sits down
+app.post("/api/participation/kiosk", authenticate, requirePermission("participation:kiosk"), async (req, res) => {
+  try {
+    const { codes, expiresAt } = await issueParticipationTokens({
+      count: 1,
+      kind: "kiosk",
+      expiresAt: new Date(Date.now() + KIOSK_CODE_HOURS * 60 * 60 * 1000),
+      label: req.user.username,
+      createdBy: req.user._id,
+    })
+
+    res.status(201).json({ code: codes[0], expiresAt })
+  } catch (error) {
+    console.error("Kiosk code error:", error)
+    res.status(500).json({ error: "Failed to start kiosk session" })
+  }
+})
+
+// Let a participant check their code and see which surveys they've already completed with it.
+// POST so the code stays out of URLs and access logs
+app.post("/api/participation/status", async (req, res) => {
+  try {
+    const token = await findParticipationToken(req.body.code)
+    if (!token) {
+      return res.status(404).json({ error: "Invalid or expired participation code" })
+    }
+
+    res.json({
+      surveyIds: token.surveyIds,
+      redeemedSurveyIds: token.redeemedSurveyIds,
+      expiresAt: token.expiresAt,
+    })
+  } catch (error) {
+    console.error("Participation status error:", error)
+    res.status(500).json({ error: "Failed to check participation code" })
+  }
+})
+
+// Survey templates
+function formatTemplate(template) {
+  return {
+    _id: template._id,
+    name: template.name,
+    description: template.description,
+    builtIn: Boolean(template.builtInKey),
+    title: template.title,
+    color: template.color,
+    sectionCount: template.sections.length,
+    questionCount: template.questions.length,
+    createdAt: template.createdAt,
+  }
+}
+
+// Built-in templates first, then saved ones newest first
+app.get("/api/templates", authenticate, requirePermission("surveys:write"), async (req, res) => {
+  try {
+    const templates = await SurveyTemplate.find({}).sort({ builtInKey: -1, createdAt: -1 })
+    res.json(templates.map(formatTemplate))
+  } catch (error) {
+    console.error("Template list error:", error)
+    res.status(500).json({ error: "Failed to load templates" })
+  }
+})
+
+// Template content ready to load into the survey builder, with fresh question ids
+app.get("/api/templates/:id", authenticate, requirePermission("surveys:write"), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: "Invalid template ID" })
+    }
+
+    const template = await SurveyTemplate.findById(req.params.id)
+    if (!template) {
+      return res.status(404).json({ error: "Template not found" })
+    }
+
+    res.json({ ...formatTemplate(template), ...cloneSurveyContent(template) })
+  } catch (error) {
+    console.error("Template load error:", error)
+    res.status(500).json({ error: "Failed to load template" })
+  }
+})
+
+// Save an existing survey's questions as a template
+app.post("/api/templates", authenticate, requirePermission("surveys:write"), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.body.surveyId)) {
+      return res.status(400).json({ error: "Invalid survey ID" })
+    }
+
+    const survey = await Survey.findById(req.body.surveyId)
+    if (!survey) {
+      return res.status(404).json({ error: "Survey not found" })
+    }
+
+    const template = await SurveyTemplate.create({
+      ...cloneSurveyContent(survey),
+      name: req.body.name?.trim() || survey.title,
+      description: req.body.description?.trim() || undefined,
+      createdBy: req.user._id,
+    })
+
+    res.status(201).json(formatTemplate(template))
+  } catch (error) {
+    console.error("Template save error:", error)
+    res.status(400).json({ error: error.message })
+  }
+})
+
+app.delete("/api/templates/:id", authenticate, requirePermission("surveys:delete"), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: "Invalid template ID" })
+    }
+
+    const template = await SurveyTemplate.findById(req.params.id)
+    if (!template) {
+      return res.status(404).json({ error: "Template not found" })
+    }
+    if (template.builtInKey) {
+      return res.status(403).json({ error: "Built-in templates cannot be deleted" })
+    }
+
+    await template.deleteOne()
+    res.json({ success: true })
+  } catch (error) {
+    console.error("Template delete error:", error)
+    res.status(500).json({ error: "Failed to delete template" })
+  }
+})
+
+// Departments and tenure bands. Both lists are managed the same way: the public endpoints
+// return what participants can choose from, the admin ones include inactive entries
+function formatMasterDataItem(item) {
+  return { _id: item._id, name: item.name, label: item.label, active: item.active, order: item.order }
+}
+
+function registerMasterDataRoutes(path, Model, kind, noun) {
+  app.get(`/api/admin/${path}`, authenticate, requirePermission("masterdata:manage"), async (req, res) => {
+    try {
+      const items = await Model.find({}).sort({ order: 1, name: 1 })
+      res.json(items.map(formatMasterDataItem))
+    } catch (error) {
+      console.error(`${noun} list error:`, error)
+      res.status(500).json({ error: `Failed to load ${noun.toLowerCase()}s` })
+    }
+  })
+
+  app.post(`/api/admin/${path}`, authenticate, requirePermission("masterdata:manage"), async (req, res) => {
+    try {
+      const name = req.body.name?.trim()
+      if (!name) {
+        return res.status(400).json({ error: "Name is required" })
+      }
+      if (await Model.exists({ name })) {
+        return res.status(409).json({ error: `${noun} "${name}" already exists` })
+      }
+
+      const item = await Model.create({
+        name,
+        label: req.body.label?.trim() || undefined,
+        order: Number.isFinite(Number(req.body.order)) ? Number(req.body.order) : await Model.countDocuments(),
+      })
+      res.status(201).json({ success: true, item: formatMasterDataItem(item) })
+    } catch (error) {
+      console.error(`${noun} create error:`, error)
+      res.status(400).json({ error: error.message })
+    }
+  })
+
+  // Renaming also rewrites the name on historic responses, users and surveys
+  app.patch(`/api/admin/${path}/:id`, authenticate, requirePermission("masterdata:manage"), async (req, res) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(400).json({ error: `Invalid ${noun.toLowerCase()} ID` })
+      }
+
+      const item = await Model.findById(req.params.id)
+      if (!item) {
+        return res.status(404).json({ error: `${noun} not found` })
+      }
+
+      const { label, active, order } = req.body
+      const name = req.body.name?.trim()
+      const oldName = item.name
+      if (req.body.name !== undefined && !name) {
+        return res.status(400).json({ error: "Name is required" })
+      }
+      if (name && name !== oldName && (await Model.exists({ name }))) {
+        return res.status(409).json({ error: `${noun} "${name}" already exists` })
+      }
+
+      if (name) item.name = name
+      if (label !== undefined) item.label = label?.trim() || undefined
+      if (active !== undefined) item.active = Boolean(active)
+      if (order !== undefined && Number.isFinite(Number(order))) item.order = Number(order)
+      await item.save()
+
+      const remapped = item.name !== oldName ? await renameMasterData(kind, oldName, item.name) : null
+      res.json({ success: true, item: formatMasterDataItem(item), remapped })
+    } catch (error) {
+      console.error(`${noun} update error:`, error)
+      res.status(400).json({ error: error.message })
+    }
+  })
+
+  // Entries that are in use can only be deactivated, so existing data keeps a valid value
+  app.delete(`/api/admin/${path}/:id`, authenticate, requirePermission("masterdata:manage"), async (req, res) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(400).json({ error: `Invalid ${noun.toLowerCase()} ID` })
+      }
+
+      const item = await Model.findById(req.params.id)
+      if (!item) {
+        return res.status(404).json({ error: `${noun} not found` })
+      }
+
+      const usage = await countMasterDataUsage(kind, item.name)
+      if (usage.responses || usage.users || usage.surveys) {
+        return res.status(409).json({
+          error: `"${item.name}" is used by ${usage.responses} response(s), ${usage.users} user(s) and ${usage.surveys} survey(s). Deactivate it instead.`,
+          usage,
+        })
+      }
+
+      await item.deleteOne()
+      res.json({ success: true })
+    } catch (error) {
+      console.error(`${noun} delete error:`, error)
+      res.status(500).json({ error: `Failed to delete ${noun.toLowerCase()}` })
+    }
+  })
+}
+
+registerMasterDataRoutes("departments", Department, "department", "Department")
+registerMasterDataRoutes("tenure-bands", TenureBand, "tenure", "Tenure band")
@@ -0,0 +1,8 @@
+// Languages participants can take surveys in. Surveys are written in the base language;
+// the others are optional per-survey translations. Keep in step with SURVEY_LANGUAGES in public/script.js
+export const BASE_LANGUAGE = "en"
+
+export const SURVEY_LANGUAGES = {
+  en: "English",
+  hi: "हिन्दी (Hindi)",
+}
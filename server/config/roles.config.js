@@ -0,0 +1,39 @@
+// Roles that can sign in to the admin panel and what each of them may do.
+// "admin" is the legacy single-account role and keeps full access.
+export const ROLE_PERMISSIONS = {
+  owner: [
+    "users:manage",
+    "surveys:read",
+    "surveys:write",
+    "surveys:delete",
+    "responses:read",
+    "responses:export",
+    "participation:issue",
+    "masterdata:manage",
+  ],
+  admin: [
+    "users:manage",
+    "surveys:read",
+    "surveys:write",
+    "surveys:delete",
+    "responses:read",
+    "responses:export",
+    "participation:issue",
+    "masterdata:manage",
+  ],
+  author: ["surveys:read", "surveys:write"],
+  analyst: ["surveys:read", "responses:read", "responses:export"],
+  manager: ["surveys:read", "responses:read", "responses:export"],
+  // Shared survey terminals: can only mint a participation code per respondent
+  kiosk: ["participation:kiosk"],
+}
+
+// Roles whose access to results is limited to their own department
+export const DEPARTMENT_SCOPED_ROLES = ["manager"]
+
+// Roles that can be assigned through the admin users endpoints
+export const ASSIGNABLE_ROLES = ["owner", "author", "analyst", "manager", "kiosk"]
+
+export function getPermissions(role) {
+  return ROLE_PERMISSIONS[role] || []
+}
@@ -0,0 +1,240 @@
+// Templates shipped with the app. They are upserted by key on startup, so editing a
+// definition here updates the stored template; surveys created from it are unaffected.
+// Question and section ids only need to be unique within a template: they are
+// regenerated whenever a survey is created from it.
+
+const SATISFACTION_SCALE = ["Very Satisfied", "Satisfied", "Neutral", "Dissatisfied", "Very Dissatisfied"]
+const AGREEMENT_SCALE = ["Strongly Agree", "Agree", "Neutral", "Disagree", "Strongly Disagree"]
+
+export const BUILT_IN_TEMPLATES = [
+  {
+    builtInKey: "engagement",
+    name: "Employee Engagement",
+    description: "Annual or quarterly pulse on engagement, recognition and growth for all departments.",
+    title: "Employee Engagement Survey",
+    color: "#253074",
+    sections: [
+      { _id: "s_overall", title: "Overall", intro: "A few questions about working here in general." },
+      { _id: "s_work", title: "Your Work", intro: "How much do you agree with the following statements?" },
+      { _id: "s_growth", title: "Growth and Recognition" },
+    ],
+    questions: [
+      {
+        _id: "q_enps",
+        text: "How likely are you to recommend this company as a place to work?",
+        type: "nps",
+        sectionId: "s_overall",
+      },
+      {
+        text: "How satisfied are you with your job overall?",
+        type: "radio",
+        options: SATISFACTION_SCALE,
+        sectionId: "s_overall",
+      },
+      {
+        text: "Working here",
+        type: "matrix",
+        options: AGREEMENT_SCALE,
+        rows: [
+          "I know what is expected of me at work",
+          "I have the tools I need to do my job well",
+          "My work gives me a feeling of personal accomplishment",
+          "I can see myself working here in two years",
+        ],
+        sectionId: "s_work",
+      },
+      {
+        text: "How would you rate the communication from senior leadership?",
+        type: "star",
+        sectionId: "s_work",
+      },
+      {
+        text: "I receive recognition when I do good work",
+        type: "radio",
+        options: AGREEMENT_SCALE,
+        sectionId: "s_growth",
+      },
+      {
+        text: "Which of these would most improve your development here?",
+        type: "checkbox",
+        options: ["Training courses", "Mentoring", "Clearer career paths", "New responsibilities", "Job rotation"],
+        sectionId: "s_growth",
+      },
+      {
+        text: "What is the one thing we could do to make this a better place to work?",
+        type: "text",
+        required: false,
+        sectionId: "s_growth",
+      },
+    ],
+  },
+  {
+    builtInKey: "onboarding",
+    name: "Onboarding (0-6 months)",
+    description: "Check in with new joiners during their first six months.",
+    title: "Onboarding Check-in",
+    color: "#3b82f6",
+    sections: [
+      { _id: "s_first_days", title: "Your First Days" },
+      { _id: "s_settling_in", title: "Settling In" },
+    ],
+    questions: [
+      {
+        text: "When did you join?",
+        type: "date",
+        sectionId: "s_first_days",
+      },
+      {
+        text: "How would you rate your first week?",
+        type: "star",
+        sectionId: "s_first_days",
+      },
+      {
+        text: "Before you started",
+        type: "matrix",
+        options: AGREEMENT_SCALE,
+        rows: [
+          "The role matches what was described during hiring",
+          "My workstation and accounts were ready on day one",
+          "I was introduced to my team",
+        ],
+        sectionId: "s_first_days",
+      },
+      {
+        _id: "q_onboarding_support",
+        text: "How satisfied are you with the support from your manager so far?",
+        type: "radio",
+        options: SATISFACTION_SCALE,
+        sectionId: "s_settling_in",
+      },
+      {
+        text: "What support would help you most right now?",
+        type: "text",
+        sectionId: "s_settling_in",
+        showIf: {
+          match: "any",
+          conditions: [
+            {
+              source: "question",
+              questionId: "q_onboarding_support",
+              operator: "in",
+              values: ["Neutral", "Dissatisfied", "Very Dissatisfied"],
+            },
+          ],
+        },
+      },
+      {
+        text: "How confident do you feel in your role?",
+        type: "slider",
+        min: 0,
+        max: 10,
+        step: 1,
+        sectionId: "s_settling_in",
+      },
+      {
+        text: "Anything else you would like to tell us about your onboarding?",
+        type: "text",
+        required: false,
+        sectionId: "s_settling_in",
+      },
+    ],
+  },
+  {
+    builtInKey: "exit",
+    name: "Exit Survey",
+    description: "Understand why people leave and what would have made them stay.",
+    title: "Exit Survey",
+    color: "#1a2456",
+    sections: [],
+    questions: [
+      {
+        text: "What is the main reason you are leaving?",
+        type: "dropdown",
+        options: [
+          "Career growth",
+          "Compensation and benefits",
+          "Relationship with manager",
+          "Work-life balance",
+          "Relocation",
+          "Personal reasons",
+          "Other",
+        ],
+      },
+      {
+        text: "Rank these in order of how much they influenced your decision",
+        type: "ranking",
+        options: ["Pay", "Manager", "Workload", "Career prospects", "Team culture"],
+      },
+      {
+        text: "How satisfied were you with your time here overall?",
+        type: "radio",
+        options: SATISFACTION_SCALE,
+      },
+      {
+        _id: "q_exit_return",
+        text: "Would you consider working here again in the future?",
+        type: "radio",
+        options: ["Yes", "Maybe", "No"],
+      },
+      {
+        text: "What would need to change for you to come back?",
+        type: "text",
+        required: false,
+        showIf: {
+          match: "any",
+          conditions: [{ source: "question", questionId: "q_exit_return", operator: "in", values: ["Maybe", "No"] }],
+        },
+      },
+      {
+        text: "How likely are you to recommend this company as a place to work?",
+        type: "nps",
+      },
+      {
+        text: "What could we have done differently?",
+        type: "text",
+        required: false,
+      },
+    ],
+  },
+  {
+    builtInKey: "manager-feedback",
+    name: "Manager Feedback",
+    description: "Upward feedback from team members about their direct manager.",
+    title: "Manager Feedback",
+    color: "#8b5cf6",
+    sections: [],
+    questions: [
+      {
+        text: "My manager",
+        type: "matrix",
+        options: AGREEMENT_SCALE,
+        rows: [
+          "Gives me regular, useful feedback",
+          "Sets clear goals and priorities",
+          "Treats everyone on the team fairly",
+          "Supports my professional development",
+          "Is available when I need help",
+        ],
+      },
+      {
+        text: "How would you rate your manager overall?",
+        type: "star",
+      },
+      {
+        text: "How often do you have one-to-one meetings with your manager?",
+        type: "radio",
+        options: ["Weekly", "Every two weeks", "Monthly", "Rarely", "Never"],
+      },
+      {
+        text: "What should your manager keep doing?",
+        type: "text",
+        required: false,
+      },
+      {
+        text: "What could your manager do differently?",
+        type: "text",
+        required: false,
+      },
+    ],
+  },
+]
@@ -0,0 +1,138 @@
+import crypto from "crypto"
+import jwt from "jsonwebtoken"
+import User from "../models/user.model.js"
+import RevokedToken from "../models/revokedToken.model.js"
+import { DEPARTMENT_SCOPED_ROLES, getPermissions } from "../config/roles.config.js"
+
+const DEFAULT_TOKEN_TTL = "8h"
+// Long enough for the browser to follow the link it was issued for
+const DOWNLOAD_TOKEN_TTL = "60s"
+
+// Read lazily so dotenv.config() in server.js has run before we look
+function getJwtSecret() {
+  const secret = process.env.JWT_SECRET
+  if (!secret) {
+    throw new Error("JWT_SECRET is not configured")
+  }
+  return secret
+}
+
+// Issue a signed session token for a user
+export function signToken(user) {
+  return jwt.sign({ sub: user._id.toString(), username: user.username, role: user.role }, getJwtSecret(), {
+    expiresIn: process.env.JWT_EXPIRES_IN || DEFAULT_TOKEN_TTL,
+    jwtid: crypto.randomUUID(),
+  })
+}
+
+// Issue a single-use token for one download from `path`. Downloads the browser saves itself are
+// plain navigations, which can't carry the Authorization header, so the token goes in the URL
+export function signDownloadToken(user, path) {
+  return jwt.sign({ sub: user._id.toString(), purpose: "download", path }, getJwtSecret(), {
+    expiresIn: DOWNLOAD_TOKEN_TTL,
+    jwtid: crypto.randomUUID(),
+  })
+}
+
+// Revoke a verified token so it can't be used again before it expires. Returns false if it
+// already was revoked
+export async function revokeToken(payload) {
+  const { upsertedCount } = await RevokedToken.updateOne(
+    { jti: payload.jti },
+    { $setOnInsert: { jti: payload.jti, expiresAt: new Date(payload.exp * 1000) } },
+    { upsert: true },
+  )
+  return upsertedCount > 0
+}
+
+// Verify the bearer token and attach the user to the request
+export async function authenticate(req, res, next) {
+  try {
+    const [scheme, token] = (req.headers.authorization || "").split(" ")
+    if (scheme !== "Bearer" || !token) {
+      return res.status(401).json({ error: "Authentication required" })
+    }
+
+    const payload = jwt.verify(token, getJwtSecret())
+    // Download tokens only open the download they were issued for
+    if (payload.purpose) {
+      return res.status(401).json({ error: "Invalid session" })
+    }
+
+    const revoked = await RevokedToken.exists({ jti: payload.jti })
+    if (revoked) {
+      return res.status(401).json({ error: "Session has been revoked" })
+    }
+
+    await attachUser(req, res, next, payload)
+  } catch (error) {
+    if (error instanceof jwt.JsonWebTokenError) {
+      return res.status(401).json({ error: "Invalid or expired session" })
+    }
+    next(error)
+  }
+}
+
+// Like authenticate, but also accepts a ?downloadToken= issued for this path by signDownloadToken.
+// The token is used up by the first request that presents it
+export async function authenticateDownload(req, res, next) {
+  const token = req.query.downloadToken
+  if (token === undefined) {
+    return authenticate(req, res, next)
+  }
+
+  try {
+    if (typeof token !== "string") {
+      return res.status(401).json({ error: "Invalid download link" })
+    }
+
+    const payload = jwt.verify(token, getJwtSecret())
+    if (payload.purpose !== "download" || payload.path !== req.path) {
+      return res.status(401).json({ error: "Invalid download link" })
+    }
+
+    // Revoking it is what marks it used, so of two requests racing with the same link only one gets through
+    if (!(await revokeToken(payload))) {
+      return res.status(401).json({ error: "This download link has already been used" })
+    }
+
+    await attachUser(req, res, next, payload)
+  } catch (error) {
+    if (error instanceof jwt.JsonWebTokenError) {
+      return res.status(401).json({ error: "Invalid or expired download link" })
+    }
+    next(error)
+  }
+}
+
+// Load the token's user and attach them and their permissions to the request
+async function attachUser(req, res, next, payload) {
+  // Load the user on every request so disabling or re-roling takes effect immediately
+  const user = await User.findById(payload.sub).select("-password").lean()
+  if (!user || user.active === false) {
+    return res.status(401).json({ error: "Invalid session" })
+  }
+  if (getPermissions(user.role).length === 0) {
+    return res.status(403).json({ error: "Admin access required" })
+  }
+
+  req.user = user
+  req.permissions = getPermissions(user.role)
+  req.tokenPayload = payload
+  next()
+}
+
+// Only let users holding the given permission through; must run after authenticate
+export function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!req.permissions?.includes(permission)) {
+      return res.status(403).json({ error: "You do not have permission to perform this action" })
+    }
+    next()
+  }
+}
+
+// Mongo filter limiting results to the user's department for department-scoped roles
+export function departmentScope(user) {
+  return DEPARTMENT_SCOPED_ROLES.includes(user.role) ? { department: user.department } : {}
+}
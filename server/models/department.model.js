@@ -0,0 +1,33 @@
+import mongoose from "mongoose"
+
+// Departments offered to participants and in the survey builder. Responses, users and
+// surveys store the name, so renaming goes through renameMasterData (utils/masterData.js) to remap them
+const departmentSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+  },
+  // Inactive departments stay valid for existing data but are no longer offered
+  active: {
+    type: Boolean,
+    default: true,
+  },
+  order: {
+    type: Number,
+    default: 0,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+// Whether every name in the list is a known department
+departmentSchema.statics.namesExist = async function (names) {
+  const unique = [...new Set(names.filter(Boolean))]
+  return (await this.countDocuments({ name: { $in: unique } })) === unique.length
+}
+
+export default mongoose.model("Department", departmentSchema)
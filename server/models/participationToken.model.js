@@ -0,0 +1,54 @@
+import mongoose from "mongoose"
+
+// One-time participation codes. Only a hash of the code is stored, and nothing
+// here points at the responses submitted with it, so answers stay anonymous.
+const participationTokenSchema = new mongoose.Schema({
+  codeHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  // "invite" codes are handed out per invitee, "kiosk" codes are minted per kiosk session
+  kind: {
+    type: String,
+    enum: ["invite", "kiosk"],
+    required: true,
+  },
+  batchId: {
+    type: String,
+    required: true,
+    index: true,
+  },
+  label: String,
+  // Surveys the code can be used for; empty means any survey that asks for a code
+  surveyIds: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Survey",
+    },
+  ],
+  // Surveys this code has already been used for
+  redeemedSurveyIds: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Survey",
+    },
+  ],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+})
+
+// Expired codes can't be redeemed any more, so MongoDB may drop them
+participationTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+export default mongoose.model("ParticipationToken", participationTokenSchema)
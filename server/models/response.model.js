@@ -1,4 +1,7 @@
 import mongoose from "mongoose"
+import { BASE_LANGUAGE } from "../config/languages.config.js"
+import Department from "./department.model.js"
+import TenureBand from "./tenureBand.model.js"
 
 const responseSchema = new mongoose.Schema({
   surveyId: {
@@ -6,6 +9,11 @@ const responseSchema = new mongoose.Schema({
     ref: "Survey",
     required: [true, "Survey ID is required"],
   },
+  // SurveyVersion the answers were given against; answer keys are that version's question ids
+  surveyVersion: {
+    type: Number,
+    default: 1,
+  },
   userId: {
     type: String,
     required: [true, "User ID is required"],
@@ -15,17 +23,43 @@ const responseSchema = new mongoose.Schema({
     type: String,
     required: [true, "Department is required"],
     trim: true,
+    validate: {
+      validator: (department) => Department.namesExist([department]),
+      message: "Unknown department",
+    },
   },
   tenure: {
     type: String,
     required: [true, "Tenure is required"],
     trim: true,
+    validate: {
+      validator: (tenure) => TenureBand.namesExist([tenure]),
+      message: "Unknown tenure band",
+    },
+  },
+  // Language the participant took the survey in; answers are stored in the base language either way
+  language: {
+    type: String,
+    default: BASE_LANGUAGE,
   },
   answers: {
     type: Map,
     of: mongoose.Schema.Types.Mixed,
     required: [true, "Answers are required"],
   },
+  // Order the participant was shown things in, recorded only for what the survey shuffles:
+  // question ids in display order, and each shuffled question's options in display order
+  displayOrder: {
+    questions: {
+      type: [String],
+      default: undefined,
+    },
+    options: {
+      type: Map,
+      of: [String],
+      default: undefined,
+    },
+  },
   timestamp: {
     type: Date,
     default: Date.now,
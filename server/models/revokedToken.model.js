@@ -0,0 +1,19 @@
+import mongoose from "mongoose"
+
+// Logged-out JWTs are kept here until they would have expired anyway
+const revokedTokenSchema = new mongoose.Schema({
+  jti: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+})
+
+// Let MongoDB purge entries once the token itself has expired
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+export default mongoose.model("RevokedToken", revokedTokenSchema)
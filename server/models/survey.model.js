@@ -1,32 +1,270 @@
+import crypto from 'crypto';
 import mongoose from 'mongoose';
+import { BASE_LANGUAGE, SURVEY_LANGUAGES } from '../config/languages.config.js';
+import Department from './department.model.js';
+import TenureBand from './tenureBand.model.js';
+
+// Stable question ids; answers are keyed by these instead of array position
+export const generateQuestionId = () => `q_${crypto.randomBytes(6).toString('hex')}`;
+export const generateSectionId = () => `s_${crypto.randomBytes(6).toString('hex')}`;
+
+// Question types whose answers are picked from `options`
+export const OPTION_QUESTION_TYPES = ['radio', 'checkbox', 'dropdown', 'matrix', 'ranking'];
+// Question types configured with min/max/step
+export const RANGE_QUESTION_TYPES = ['slider', 'number'];
+// Question types whose options can be shown in a random order
+export const SHUFFLE_OPTION_QUESTION_TYPES = ['radio', 'checkbox', 'dropdown', 'ranking'];
+// Survey card colors, as the builder's color picker gives them
+export const SURVEY_COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+// One condition of a display rule: the answer to an earlier question, or the
+// participant's tenure/department, is (or is not) one of the listed values
+const conditionSchema = new mongoose.Schema({
+    source: {
+        type: String,
+        enum: ['question', 'tenure', 'department'],
+        default: 'question'
+    },
+    questionId: String,
+    operator: {
+        type: String,
+        enum: ['in', 'notIn'],
+        default: 'in'
+    },
+    values: [{
+        type: String
+    }]
+}, { _id: false });
+
+export const questionSchema = new mongoose.Schema({
+    _id: {
+        type: String,
+        default: generateQuestionId
+    },
+    text: {
+        type: String,
+        required: true
+    },
+    type: { 
+        type: String, 
+        enum: ['text', 'radio', 'checkbox', 'star', 'nps', 'matrix', 'slider', 'dropdown', 'number', 'date', 'ranking'],
+        required: true
+    },
+    // Choices for radio/checkbox/dropdown, the items to order for ranking, and
+    // the shared rating scale for matrix questions
+    options: {
+        type: [String],
+        validate: {
+            validator: function (options) {
+                return !['dropdown', 'matrix', 'ranking'].includes(this.type) || options.length >= 2;
+            },
+            message: 'Dropdown, matrix and ranking questions need at least 2 options'
+        }
+    },
+    // Statements rated on the shared scale of a matrix question
+    rows: {
+        type: [String],
+        default: undefined,
+        required: [function () {
+            return this.type === 'matrix';
+        }, 'Matrix questions need at least one statement'],
+        validate: {
+            validator: function (rows) {
+                return this.type !== 'matrix' || rows.length > 0;
+            },
+            message: 'Matrix questions need at least one statement'
+        }
+    },
+    // Bounds for slider (required) and number (optional) questions
+    min: {
+        type: Number,
+        required: [function () {
+            return this.type === 'slider';
+        }, 'Slider questions need a minimum']
+    },
+    max: {
+        type: Number,
+        required: [function () {
+            return this.type === 'slider';
+        }, 'Slider questions need a maximum'],
+        validate: {
+            validator: function (max) {
+                return this.min == null || max > this.min;
+            },
+            message: 'Maximum must be greater than minimum'
+        }
+    },
+    step: {
+        type: Number,
+        validate: {
+            validator: (step) => step == null || step > 0,
+            message: 'Step must be greater than 0'
+        }
+    },
+    // Show the options in a different random order to each participant
+    shuffleOptions: {
+        type: Boolean,
+        validate: {
+            validator: function (shuffle) {
+                return !shuffle || SHUFFLE_OPTION_QUESTION_TYPES.includes(this.type);
+            },
+            message: 'Only multiple choice, checkbox, dropdown and ranking options can be shuffled'
+        }
+    },
+    // Options kept at the end, in this order, when the rest are shuffled (e.g. "Other", "N/A")
+    pinnedOptions: {
+        type: [String],
+        default: undefined,
+        validate: {
+            validator: function (pinned) {
+                return pinned.every((option) => (this.options || []).includes(option));
+            },
+            message: 'Options kept last must be options of the question'
+        }
+    },
+    // Defaults keep the original behaviour where only checkbox questions were optional
+    required: {
+        type: Boolean,
+        default: function () {
+            return this.type !== 'checkbox';
+        }
+    },
+    // Show the question only when all/any of these conditions hold; no conditions = always shown
+    showIf: {
+        match: {
+            type: String,
+            enum: ['all', 'any'],
+            default: 'all'
+        },
+        conditions: [conditionSchema]
+    },
+    // Section (page) the question appears on; questions without one come before the first section
+    sectionId: {
+        type: String,
+        default: null
+    }
+});
+
+// A named page of questions with optional intro text
+export const sectionSchema = new mongoose.Schema({
+    _id: {
+        type: String,
+        default: generateSectionId
+    },
+    title: {
+        type: String,
+        required: true
+    },
+    intro: String
+});
+
+// Another language's wording for a survey. Only labels are translated: answers are always
+// stored as the base-language option strings, so results aggregate across languages
+export const translationSchema = new mongoose.Schema({
+    language: {
+        type: String,
+        enum: Object.keys(SURVEY_LANGUAGES).filter((language) => language !== BASE_LANGUAGE),
+        required: true
+    },
+    title: String,
+    sections: [{
+        _id: false,
+        sectionId: { type: String, required: true },
+        title: String,
+        intro: String
+    }],
+    // options and rows line up one to one with the question's; blank entries fall back to the base wording
+    questions: [{
+        _id: false,
+        questionId: { type: String, required: true },
+        text: String,
+        options: [String],
+        rows: [String]
+    }]
+}, { _id: false });
+
+// Translated options and rows must line up with the questions they translate
+function translationsMatchQuestions(translations) {
+    const languages = new Set();
+    const questionsById = new Map((this.questions || []).map((question) => [question._id, question]));
+    return translations.every((translation) => {
+        if (languages.has(translation.language)) return false;
+        languages.add(translation.language);
+        return translation.questions.every((entry) => {
+            const question = questionsById.get(entry.questionId);
+            return question &&
+                (entry.options.length === 0 || entry.options.length === (question.options || []).length) &&
+                (entry.rows.length === 0 || entry.rows.length === (question.rows || []).length);
+        });
+    });
+}
+
+// Display rules may only depend on questions that come before them
+function displayRulesReferenceEarlierQuestions(questions) {
+    const earlierIds = new Set();
+    return questions.every((question) => {
+        const valid = (question.showIf?.conditions || []).every((condition) =>
+            condition.source !== 'question' || earlierIds.has(condition.questionId));
+        earlierIds.add(question._id);
+        return valid;
+    });
+}
 
 const surveySchema = new mongoose.Schema({
     title: { 
         type: String, 
         required: true 
     },
+    // Display label for the targeting below ("all" or the department names); the filters use departments
     department: { 
         type: String, 
         required: true 
     },
-    questions: [{
-        text: {
-            type: String,
-            required: true
-        },
-        type: { 
-            type: String, 
-            enum: ['text', 'radio', 'checkbox', 'star'],  
-            required: true
-        },
-        options: [{
-            type: String
+    // Departments the survey is shown to, unless it is for all departments
+    departments: {
+        type: [String],
+        validate: [{
+            validator: function (departments) {
+                return this.isAllDepartments || departments.length > 0;
+            },
+            message: 'Choose at least one department or target all departments'
+        }, {
+            validator: (departments) => Department.namesExist(departments),
+            message: 'Unknown department'
         }]
-    }],
+    },
+    // Tenure bands the survey is shown to; empty means every tenure
+    tenures: {
+        type: [String],
+        validate: {
+            validator: (tenures) => TenureBand.namesExist(tenures),
+            message: 'Unknown tenure band'
+        }
+    },
+    sections: [sectionSchema],
+    questions: {
+        type: [questionSchema],
+        validate: [{
+            validator: displayRulesReferenceEarlierQuestions,
+            message: 'Display rules can only refer to earlier questions'
+        }, {
+            validator: function (questions) {
+                const sectionIds = new Set((this.sections || []).map((section) => section._id));
+                return questions.every((question) => !question.sectionId || sectionIds.has(question.sectionId));
+            },
+            message: 'Questions can only be placed in sections of the same survey'
+        }]
+    },
     isAllDepartments: {
         type: Boolean,
         default: false
     },
+    // Show each participant the questions of every section in a random order; a question
+    // still comes after any question on its page that its display rules depend on
+    shuffleQuestions: {
+        type: Boolean,
+        default: false
+    },
     createdAt: { 
         type: Date, 
         default: Date.now 
@@ -35,9 +273,44 @@ const surveySchema = new mongoose.Schema({
         type: Boolean, 
         default: true 
     },
+    // Optional schedule; participants only see the survey between these dates
+    opensAt: {
+        type: Date,
+        default: null
+    },
+    closesAt: {
+        type: Date,
+        default: null,
+        validate: {
+            validator: function (value) {
+                return !value || !this.opensAt || value > this.opensAt;
+            },
+            message: 'Close date must be after the open date'
+        }
+    },
     color: {
         type: String,
-        default: "#253074"
+        default: "#253074",
+        // Goes into style attributes in the app, so only plain hex colours
+        match: [SURVEY_COLOR_PATTERN, 'Color must be a hex color like #253074']
+    },
+    // Other languages the survey can be taken in
+    translations: {
+        type: [translationSchema],
+        validate: {
+            validator: translationsMatchQuestions,
+            message: 'Each language can only be added once, and translated options and statements must match the question\'s'
+        }
+    },
+    // Only accept responses that redeem a one-time participation code
+    requireParticipationToken: {
+        type: Boolean,
+        default: false
+    },
+    // Latest SurveyVersion number; bumped on every save through saveSurveyVersion
+    version: {
+        type: Number,
+        default: 0
     }
 });
 
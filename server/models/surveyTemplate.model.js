@@ -0,0 +1,39 @@
+import mongoose from "mongoose"
+import { SURVEY_COLOR_PATTERN, questionSchema, sectionSchema, translationSchema } from "./survey.model.js"
+
+// Reusable survey content. Built-in templates ship with the app and are identified by
+// builtInKey; the rest are saved from existing surveys by admins
+const surveyTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+  },
+  description: String,
+  builtInKey: {
+    type: String,
+    unique: true,
+    sparse: true,
+  },
+  title: {
+    type: String,
+    required: true,
+  },
+  color: {
+    type: String,
+    default: "#253074",
+    match: [SURVEY_COLOR_PATTERN, "Color must be a hex color like #253074"],
+  },
+  sections: [sectionSchema],
+  questions: [questionSchema],
+  translations: [translationSchema],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+export default mongoose.model("SurveyTemplate", surveyTemplateSchema)
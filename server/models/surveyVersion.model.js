@@ -0,0 +1,36 @@
+import mongoose from "mongoose"
+import { questionSchema, sectionSchema } from "./survey.model.js"
+
+// Immutable snapshot of a survey's content, written every time the survey is saved.
+// Responses record the version they were answered against.
+const surveyVersionSchema = new mongoose.Schema({
+  surveyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Survey",
+    required: true,
+  },
+  version: {
+    type: Number,
+    required: true,
+  },
+  title: {
+    type: String,
+    required: true,
+  },
+  color: String,
+  sections: [sectionSchema],
+  questions: [questionSchema],
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+surveyVersionSchema.index({ surveyId: 1, version: 1 }, { unique: true })
+
+// Versions are never edited once written
+surveyVersionSchema.pre(["updateOne", "updateMany", "findOneAndUpdate", "replaceOne"], function () {
+  throw new Error("Survey versions are immutable")
+})
+
+export default mongoose.model("SurveyVersion", surveyVersionSchema)
@@ -0,0 +1,37 @@
+import mongoose from "mongoose"
+
+// Tenure bands participants choose from. `name` is the value stored on responses, users
+// and survey targeting; `label` is what people see
+const tenureBandSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+  },
+  label: {
+    type: String,
+    trim: true,
+  },
+  // Inactive bands stay valid for existing data but are no longer offered
+  active: {
+    type: Boolean,
+    default: true,
+  },
+  order: {
+    type: Number,
+    default: 0,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+// Whether every name in the list is a known tenure band
+tenureBandSchema.statics.namesExist = async function (names) {
+  const unique = [...new Set(names.filter(Boolean))]
+  return (await this.countDocuments({ name: { $in: unique } })) === unique.length
+}
+
+export default mongoose.model("TenureBand", tenureBandSchema)
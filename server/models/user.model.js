@@ -1,4 +1,11 @@
 import mongoose from "mongoose"
+import Department from "./department.model.js"
+import TenureBand from "./tenureBand.model.js"
+
+// Admin panel accounts don't need the employee-only profile fields
+function isEmployee() {
+  return this.role === "employee"
+}
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -12,27 +19,42 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ["admin", "employee"],
+    enum: ["owner", "admin", "author", "analyst", "manager", "kiosk", "employee"],
     default: "employee",
   },
+  // Admin accounts may use departments outside the participant list (e.g. "Administration")
   department: {
     type: String,
     required: true,
+    validate: {
+      validator: function (department) {
+        return !isEmployee.call(this) || Department.namesExist([department])
+      },
+      message: "Unknown department",
+    },
   },
   employeeId: {
     type: Number,
-    required: true,
+    required: isEmployee,
     unique: true,
+    sparse: true,
   },
   email: {
     type: String,
-    required: true,
+    required: isEmployee,
     // Removed unique: true constraint to allow duplicate emails
   },
   tenure: {
     type: String,
-    required: true,
-    enum: ["0-6 months", "up to 1 year", "Less than 5 years", "more than 5 years", "5+ years"],
+    required: isEmployee,
+    validate: {
+      validator: (tenure) => TenureBand.namesExist([tenure]),
+      message: "Unknown tenure band",
+    },
+  },
+  active: {
+    type: Boolean,
+    default: true,
   },
   isEmailVerified: {
     type: Boolean,
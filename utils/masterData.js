@@ -0,0 +1,145 @@
+import Department from "../server/models/department.model.js"
+import TenureBand from "../server/models/tenureBand.model.js"
+import Survey from "../server/models/survey.model.js"
+import Response from "../server/models/response.model.js"
+import User from "../server/models/user.model.js"
+import { saveSurveyVersion } from "./surveyVersions.js"
+
+// What the app offered before departments and tenure bands were managed from the admin panel
+export const DEFAULT_DEPARTMENTS = [
+  "IT",
+  "HR",
+  "Finance",
+  "Marketing",
+  "Learning and Training",
+  "Franchise",
+  "Sales and Support",
+  "Product Development",
+  "Accounts",
+  "Dispatch",
+  "E-commerce",
+  "Executive Assistant",
+  "Franchise Sales",
+  "Franchise Merchandiser",
+  "Franchise Operation",
+  "Gold Dept",
+  "Photography",
+  "Store",
+  "SNMCC",
+]
+
+export const DEFAULT_TENURE_BANDS = [
+  { name: "0-6 months", label: "0 - 6 months" },
+  { name: "up to 1 year", label: "up to 1 year" },
+  { name: "Less than 5 years", label: "Less than 5 years" },
+  { name: "more than 5 years", label: "more than 5 years" },
+]
+
+// Spellings of the same band used before there was a single list
+const LEGACY_TENURE_NAMES = { "5+ years": "more than 5 years" }
+
+// Where each kind of master data is stored on other documents
+const MASTER_DATA_FIELDS = {
+  department: { model: Department, responseField: "department", surveyField: "departments" },
+  tenure: { model: TenureBand, responseField: "tenure", surveyField: "tenures" },
+}
+
+// Fill the collections on first start with the old built-in lists plus anything already
+// used by surveys, responses or employees, so existing data stays valid
+export async function seedMasterData() {
+  let created = 0
+
+  if ((await Department.estimatedDocumentCount()) === 0) {
+    const inUse = [
+      ...(await Survey.distinct("departments")),
+      ...(await Response.distinct("department")),
+      ...(await User.distinct("department", { role: "employee" })),
+    ]
+    const extra = [...new Set(inUse)].filter((name) => name && !DEFAULT_DEPARTMENTS.includes(name)).sort()
+    const names = [...DEFAULT_DEPARTMENTS, ...extra]
+    await Department.insertMany(names.map((name, order) => ({ name, order })))
+    created += names.length
+  }
+
+  if ((await TenureBand.estimatedDocumentCount()) === 0) {
+    for (const [legacy, name] of Object.entries(LEGACY_TENURE_NAMES)) {
+      await Response.updateMany({ tenure: legacy }, { $set: { tenure: name } })
+      await User.updateMany({ tenure: legacy }, { $set: { tenure: name } })
+    }
+
+    const defaultNames = DEFAULT_TENURE_BANDS.map((band) => band.name)
+    const inUse = [
+      ...(await Survey.distinct("tenures")),
+      ...(await Response.distinct("tenure")),
+      ...(await User.distinct("tenure", { role: "employee" })),
+    ]
+    const extra = [...new Set(inUse)]
+      .filter((name) => name && !defaultNames.includes(name))
+      .sort()
+      .map((name) => ({ name, label: name }))
+    const bands = [...DEFAULT_TENURE_BANDS, ...extra]
+    await TenureBand.insertMany(bands.map((band, order) => ({ ...band, order })))
+    created += bands.length
+  }
+
+  return created
+}
+
+// Number of responses, users and surveys that refer to a department or tenure band
+export async function countMasterDataUsage(kind, name) {
+  const { responseField, surveyField } = MASTER_DATA_FIELDS[kind]
+  const [responses, users, surveys] = await Promise.all([
+    Response.countDocuments({ [responseField]: name }),
+    User.countDocuments({ [responseField]: name }),
+    Survey.countDocuments({
+      $or: [
+        { [surveyField]: name },
+        { "questions.showIf.conditions": { $elemMatch: { source: kind, values: name } } },
+      ],
+    }),
+  ])
+  return { responses, users, surveys }
+}
+
+// Point everything that used the old name at the new one: historic responses, employee
+// accounts, survey targeting and display rules. Surveys whose display rules change get a
+// new version so new answers are checked against the new name. Versions already recorded
+// keep the old wording, as they do for any other edit
+export async function renameMasterData(kind, oldName, newName) {
+  const { responseField, surveyField } = MASTER_DATA_FIELDS[kind]
+
+  const responses = await Response.updateMany({ [responseField]: oldName }, { $set: { [responseField]: newName } })
+  await User.updateMany({ [responseField]: oldName }, { $set: { [responseField]: newName } })
+
+  const surveys = await Survey.find({
+    $or: [
+      { [surveyField]: oldName },
+      { "questions.showIf.conditions": { $elemMatch: { source: kind, values: oldName } } },
+    ],
+  })
+
+  for (const survey of surveys) {
+    survey[surveyField] = survey[surveyField].map((name) => (name === oldName ? newName : name))
+    if (kind === "department" && !survey.isAllDepartments) {
+      survey.department = survey.departments.join(", ")
+    }
+
+    let rulesChanged = false
+    survey.questions.forEach((question) => {
+      question.showIf?.conditions?.forEach((condition) => {
+        if (condition.source === kind && condition.values.includes(oldName)) {
+          condition.values = condition.values.map((value) => (value === oldName ? newName : value))
+          rulesChanged = true
+        }
+      })
+    })
+
+    if (rulesChanged) {
+      await saveSurveyVersion(survey)
+    } else {
+      await survey.save()
+    }
+  }
+
+  return { responses: responses.modifiedCount, surveys: surveys.length }
+}
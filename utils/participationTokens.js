@@ -0,0 +1,81 @@
+import crypto from "crypto"
+import ParticipationToken from "../server/models/participationToken.model.js"
+
+// No 0/O or 1/I/L so codes survive being read aloud or copied from paper
+const CODE_ALPHABET = "ABCDEFGHJKMNPQRSTUVWXYZ23456789"
+const CODE_LENGTH = 12
+
+// Random code formatted as XXXX-XXXX-XXXX
+export function generateParticipationCode() {
+  const chars = Array.from({ length: CODE_LENGTH }, () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)])
+  return chars.join("").match(/.{4}/g).join("-")
+}
+
+// Codes are matched case-insensitively and ignoring spaces/dashes
+export function hashParticipationCode(code) {
+  const normalized = String(code).toUpperCase().replace(/[^A-Z0-9]/g, "")
+  return crypto.createHash("sha256").update(normalized).digest("hex")
+}
+
+// Create `count` codes in one batch. The plain codes are only returned here, never stored
+export async function issueParticipationTokens({ count, kind, surveyIds = [], expiresAt, label, createdBy }) {
+  const batchId = crypto.randomUUID()
+  const codes = Array.from({ length: count }, generateParticipationCode)
+
+  await ParticipationToken.insertMany(
+    codes.map((code) => ({
+      codeHash: hashParticipationCode(code),
+      kind,
+      batchId,
+      label,
+      surveyIds,
+      createdBy,
+      expiresAt,
+    })),
+  )
+
+  return { batchId, codes, expiresAt }
+}
+
+// Look up an unexpired token by its plain code
+export async function findParticipationToken(code) {
+  if (!code) return null
+  return ParticipationToken.findOne({
+    codeHash: hashParticipationCode(code),
+    expiresAt: { $gt: new Date() },
+  }).lean()
+}
+
+// Whether the token may be used for this survey: { ok } or { status, error }
+export function checkParticipationToken(token, surveyId) {
+  if (!token) {
+    return { status: 403, error: "A participation code is required for this survey" }
+  }
+  const id = surveyId.toString()
+  if (token.surveyIds?.length && !token.surveyIds.some((allowed) => allowed.toString() === id)) {
+    return { status: 403, error: "This participation code is not valid for this survey" }
+  }
+  if (token.redeemedSurveyIds?.some((redeemed) => redeemed.toString() === id)) {
+    return { status: 409, error: "This participation code has already been used for this survey" }
+  }
+  return { ok: true }
+}
+
+// Atomically mark the token as used for all of the given surveys. Returns false if it
+// expired or was used for any of them in the meantime (e.g. a concurrent submission)
+export async function redeemParticipationToken(token, surveyIds) {
+  const redeemed = await ParticipationToken.findOneAndUpdate(
+    {
+      _id: token._id,
+      expiresAt: { $gt: new Date() },
+      redeemedSurveyIds: { $nin: surveyIds },
+    },
+    { $addToSet: { redeemedSurveyIds: { $each: surveyIds } } },
+  )
+  return Boolean(redeemed)
+}
+
+// Undo a redemption when the responses it was for couldn't be stored
+export async function releaseParticipationToken(token, surveyIds) {
+  await ParticipationToken.updateOne({ _id: token._id }, { $pullAll: { redeemedSurveyIds: surveyIds } })
+}
@@ -4,8 +4,10 @@ import csv from "csv-parser"
 import path from "path"
 
 class ReportGenerator {
-  constructor(csvPath) {
+  // options.departments: department names in the order the report should list them
+  constructor(csvPath, { departments = [] } = {}) {
     this.csvPath = csvPath
+    this.departmentOrder = departments
     this.data = []
     this.d3 = null
   }
@@ -128,11 +130,20 @@ class ReportGenerator {
     }
   }
 
+  // Known departments in their managed order, then any others alphabetically
+  sortDepartments(departments) {
+    const position = (dept) => {
+      const index = this.departmentOrder.indexOf(dept)
+      return index === -1 ? this.departmentOrder.length : index
+    }
+    return [...departments].sort((a, b) => position(a) - position(b) || String(a).localeCompare(String(b)))
+  }
+
   // Update the generateAnalysis method
   async generateAnalysis() {
     try {
       const responses = await this.readCSV()
-      const departments = [...new Set(responses.map((r) => r["Department"]))]
+      const departments = this.sortDepartments([...new Set(responses.map((r) => r["Department"]))])
 
       // Calculate overall satisfaction metrics across all responses
       const overallMetrics = this.calculateSatisfactionPercentage(responses)
@@ -184,9 +195,10 @@ class ReportGenerator {
 
                 questionAnalysis[qNum] = {
                   question: question,
+                  section: response[`Section ${qNum}`] || "",
                   responses: {},
                   responseCount: 0,
-                  type: this.determineQuestionType(answer, allAnswersForQuestion),
+                  type: this.resolveQuestionType(response[`Type ${qNum}`], answer, allAnswersForQuestion),
                 }
               }
 
@@ -195,10 +207,19 @@ class ReportGenerator {
               // Handle different types of questions
               if (questionAnalysis[qNum].type === "StarRating") {
                 // For star ratings, normalize the answer
-                const starValue = answer.toString().trim()
+                const starValue = answer.toString().trim().replace(/\s*stars?$/i, "")
                 if (/^[1-5]$/.test(starValue)) {
                   questionAnalysis[qNum].responses[starValue] = (questionAnalysis[qNum].responses[starValue] || 0) + 1
                 }
+              } else if (questionAnalysis[qNum].type === "Ranking") {
+                // Rankings are exported most preferred first, e.g. "Health > Pension > Gym"
+                answer.split(" > ").forEach((option, position) => {
+                  const stats = questionAnalysis[qNum].responses[option] || { rankTotal: 0, count: 0, firstChoice: 0 }
+                  stats.rankTotal += position + 1
+                  stats.count++
+                  if (position === 0) stats.firstChoice++
+                  questionAnalysis[qNum].responses[option] = stats
+                })
               } else if (questionAnalysis[qNum].type === "Checkbox") {
                 // Handle checkbox questions
                 const options = answer.split(",").map((opt) => opt.trim())
@@ -430,11 +451,13 @@ class ReportGenerator {
 
       Object.entries(analysis.departmentStats).forEach(([dept, deptData]) => {
         Object.entries(deptData.questionAnalysis).forEach(([qNum, qData]) => {
-          const questionKey = qData.question
+          // The same question text can appear in more than one section
+          const questionKey = `${qData.section}\u0000${qData.question}`
 
           if (!questionMap.has(questionKey)) {
             questionMap.set(questionKey, {
               question: qData.question,
+              section: qData.section,
               type: qData.type,
               departmentResponses: new Map(),
             })
@@ -445,14 +468,27 @@ class ReportGenerator {
         })
       })
 
+      // Group questions by section, keeping sections in the order they were first seen
+      const sectionOrder = [...new Set([...questionMap.values()].map((questionInfo) => questionInfo.section))]
+      const orderedQuestions = [...questionMap.values()].sort(
+        (a, b) => sectionOrder.indexOf(a.section) - sectionOrder.indexOf(b.section),
+      )
+
       // Display analysis for all questions in the new format
       let questionIndex = 1
-      questionMap.forEach((questionInfo) => {
+      let currentSection = ""
+      orderedQuestions.forEach((questionInfo) => {
+        if (questionInfo.section && questionInfo.section !== currentSection) {
+          doc.fontSize(16).text(`Section: ${questionInfo.section}`)
+          doc.moveDown(0.5)
+        }
+        currentSection = questionInfo.section
+
         doc.fontSize(14).text(`Question: ${questionInfo.question}`)
         doc.moveDown(0.5)
 
-        // Show department-wise option counts for MCQ, Checkbox, and Star Rating
-        if (questionInfo.type === "MCQ" || questionInfo.type === "Checkbox" || questionInfo.type === "StarRating") {
+        // Show department-wise option counts for MCQ, Checkbox, Choice and Star Rating
+        if (["MCQ", "Checkbox", "Choice", "StarRating"].includes(questionInfo.type)) {
           questionInfo.departmentResponses.forEach((qData, dept) => {
             doc.fontSize(12).text(`${dept} Department:`)
 
@@ -477,7 +513,7 @@ class ReportGenerator {
                 }
               })
             } else {
-              // For Checkbox, show all options with their counts
+              // For Checkbox and Choice, show all options with their counts
               Object.entries(qData.responses)
                 .sort(([, a], [, b]) => b - a) // Sort by count descending
                 .forEach(([option, count]) => {
@@ -486,6 +522,48 @@ class ReportGenerator {
             }
             doc.moveDown(0.3)
           })
+        } else if (questionInfo.type === "Ranking") {
+          // Options ordered by average rank (1 = most preferred), with how often each was ranked first
+          questionInfo.departmentResponses.forEach((qData, dept) => {
+            doc.fontSize(12).text(`${dept} Department:`)
+            this.summarizeRanking(qData.responses).forEach((option) => {
+              const share = qData.responseCount > 0 ? Math.round((option.firstChoice / qData.responseCount) * 100) : 0
+              doc.text(
+                `  ${option.option}: average rank ${option.averageRank}, first choice ${option.firstChoice} (${share}%)`,
+              )
+            })
+            doc.moveDown(0.3)
+          })
+        } else if (questionInfo.type === "NPS") {
+          // eNPS: % promoters (9-10) minus % detractors (0-6)
+          questionInfo.departmentResponses.forEach((qData, dept) => {
+            const nps = this.calculateNPS(qData.responses)
+            doc.fontSize(12).text(`${dept} Department:`)
+            doc.text(`  eNPS: ${nps.score}`)
+            doc.text(`  Promoters: ${nps.promoters}, Passives: ${nps.passives}, Detractors: ${nps.detractors}`)
+            doc.moveDown(0.3)
+          })
+        } else if (questionInfo.type === "Numeric") {
+          questionInfo.departmentResponses.forEach((qData, dept) => {
+            const stats = this.summarizeNumbers(qData.responses)
+            doc.fontSize(12).text(`${dept} Department:`)
+            doc.text(`  Responses: ${stats.count}`)
+            if (stats.count > 0) {
+              doc.text(`  Average: ${stats.average}, Min: ${stats.min}, Max: ${stats.max}`)
+            }
+            doc.moveDown(0.3)
+          })
+        } else if (questionInfo.type === "Date") {
+          questionInfo.departmentResponses.forEach((qData, dept) => {
+            // Dates are exported as YYYY-MM-DD, so they sort as strings
+            const dates = Object.keys(qData.responses).sort()
+            doc.fontSize(12).text(`${dept} Department:`)
+            doc.text(`  Responses: ${qData.responseCount}`)
+            if (dates.length > 0) {
+              doc.text(`  Earliest: ${dates[0]}, Latest: ${dates[dates.length - 1]}`)
+            }
+            doc.moveDown(0.3)
+          })
         } else if (questionInfo.type === "Text") {
           // For text questions, simply show the responses
           questionInfo.departmentResponses.forEach((qData, dept) => {
@@ -674,6 +752,79 @@ class ReportGenerator {
     }
   }
 
+  // Analysis type from the "Type N" column written by generateCSV. CSVs without it
+  // fall back to guessing from the answers
+  resolveQuestionType(declaredType, answer, allAnswers = []) {
+    const declaredTypes = {
+      text: "Text",
+      checkbox: "Checkbox",
+      star: "StarRating",
+      nps: "NPS",
+      slider: "Numeric",
+      number: "Numeric",
+      date: "Date",
+      ranking: "Ranking",
+    }
+
+    if (!declaredType) return this.determineQuestionType(answer, allAnswers)
+    if (declaredTypes[declaredType]) return declaredTypes[declaredType]
+
+    // radio, dropdown and matrix answers on the satisfaction scale keep MCQ scoring
+    return allAnswers.length > 0 && this.isMCQQuestion(allAnswers) ? "MCQ" : "Choice"
+  }
+
+  // eNPS from a { score: count } map
+  calculateNPS(responses) {
+    let promoters = 0
+    let passives = 0
+    let detractors = 0
+
+    Object.entries(responses).forEach(([score, count]) => {
+      const value = Number(score)
+      if (value >= 9) promoters += count
+      else if (value >= 7) passives += count
+      else detractors += count
+    })
+
+    const total = promoters + passives + detractors
+    return {
+      score: total > 0 ? Math.round(((promoters - detractors) / total) * 100) : 0,
+      promoters,
+      passives,
+      detractors,
+    }
+  }
+
+  // Average rank and first-choice count per option, best ranked first
+  summarizeRanking(responses) {
+    return Object.entries(responses)
+      .map(([option, stats]) => ({
+        option,
+        averageRank: (stats.rankTotal / stats.count).toFixed(2),
+        firstChoice: stats.firstChoice,
+      }))
+      .sort((a, b) => a.averageRank - b.averageRank)
+  }
+
+  // Count, average, min and max from a { value: count } map
+  summarizeNumbers(responses) {
+    const entries = Object.entries(responses)
+      .map(([value, count]) => [Number(value), count])
+      .filter(([value]) => !isNaN(value))
+
+    const count = entries.reduce((total, [, n]) => total + n, 0)
+    if (count === 0) return { count: 0 }
+
+    const sum = entries.reduce((total, [value, n]) => total + value * n, 0)
+    const values = entries.map(([value]) => value)
+    return {
+      count,
+      average: (sum / count).toFixed(1),
+      min: Math.min(...values),
+      max: Math.max(...values),
+    }
+  }
+
   // Add this helper method - improved question type detection
   determineQuestionType(answer, allAnswers = []) {
     // Check if it's a star rating (numbers 1-5)
@@ -0,0 +1,414 @@
+import { Readable } from "stream"
+import { pipeline } from "stream/promises"
+import mongoose from "mongoose"
+import { Transform } from "json2csv"
+import Survey from "../server/models/survey.model.js"
+import SurveyVersion from "../server/models/surveyVersion.model.js"
+import Response from "../server/models/response.model.js"
+import { BASE_LANGUAGE, SURVEY_LANGUAGES } from "../server/config/languages.config.js"
+import {
+  formatAnswer,
+  getAnswer,
+  getResponseColumns,
+  getResponseQuestions,
+  getResponseSections,
+  getResponseVersion,
+  loadResponseVersions,
+} from "./surveyVersions.js"
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+
+// Start of a calendar day (YYYY-MM-DD) in server time, or null if it isn't one
+function startOfDay(value) {
+  if (!DAY_PATTERN.test(value)) return null
+  const date = new Date(`${value}T00:00:00`)
+  if (Number.isNaN(date.getTime())) return null
+
+  // new Date rolls days that don't exist, like 2024-02-31, into the next month, so check the parts survived
+  const [year, month, day] = value.split("-").map(Number)
+  return date.getFullYear() === year && date.getMonth() + 1 === month && date.getDate() === day ? date : null
+}
+
+// Response filter from the export query string: ?surveyId=&department=&tenure=&from=&to=.
+// from and to are calendar days and both are included. `scope` is the user's department
+// scope (see departmentScope), which always applies. Returns { filter } or { error }
+export function buildResponseFilter(query, scope = {}) {
+  const { surveyId, department, tenure, from, to } = query
+  if ([surveyId, department, tenure, from, to].some((value) => value !== undefined && typeof value !== "string")) {
+    return { error: "Each filter can only be given once" }
+  }
+
+  const filter = {}
+
+  if (surveyId) {
+    if (!mongoose.isValidObjectId(surveyId)) return { error: "Invalid survey ID" }
+    filter.surveyId = new mongoose.Types.ObjectId(surveyId)
+  }
+
+  if (department) {
+    if (scope.department && scope.department !== department) {
+      return { error: "You can only export responses from your own department" }
+    }
+    filter.department = department
+  }
+
+  if (tenure) {
+    filter.tenure = tenure
+  }
+
+  if (from || to) {
+    const start = from ? startOfDay(from) : null
+    const end = to ? startOfDay(to) : null
+    if ((from && !start) || (to && !end)) return { error: "Dates must be real days given as YYYY-MM-DD" }
+    if (start && end && end < start) return { error: "The end date must not be before the start date" }
+
+    filter.timestamp = {}
+    if (start) filter.timestamp.$gte = start
+    // Up to the end of the last day
+    if (end) filter.timestamp.$lt = new Date(end.getFullYear(), end.getMonth(), end.getDate() + 1)
+  }
+
+  return { filter: { ...filter, ...scope } }
+}
+
+// Lower-case, dash-separated version of a title for download file names
+export function toFileSlug(title, fallback = "survey") {
+  return (
+    String(title || "")
+      .replace(/[^a-z0-9]+/gi, "-")
+      .replace(/^-|-$/g, "")
+      .toLowerCase() || fallback
+  )
+}
+
+// Append the values of `extra` that `values` doesn't have yet
+function mergeList(values = [], extra = []) {
+  return [...values, ...extra.filter((value) => !values.includes(value))]
+}
+
+// Checkbox answers are arrays; older clients sent them comma-joined
+function toList(answer) {
+  if (answer === undefined || answer === null || answer === "") return null
+  return Array.isArray(answer) ? answer : String(answer).split(", ")
+}
+
+// Questions of every version of a survey, keyed by id. `questionSets` are the question lists
+// of its versions, newest first: each question keeps its newest wording, and options and
+// statements that only older versions had are added at the end
+function mergeQuestionVersions(questionSets) {
+  const merged = new Map()
+
+  questionSets.forEach((questions) => {
+    questions.forEach((question) => {
+      const newer = merged.get(question._id)
+      if (!newer) {
+        merged.set(question._id, { ...question, options: question.options || [], rows: question.rows || [] })
+        return
+      }
+      if (newer.type !== question.type) return
+
+      newer.options = mergeList(newer.options, question.options)
+      newer.rows = [...newer.rows, ...(question.rows || []).slice(newer.rows.length)]
+    })
+  })
+
+  return Array.from(merged.values())
+}
+
+// The export columns of one question; `answerOf(answersById)` is its answer
+function questionColumns(question, answerOf) {
+  switch (question.type) {
+    case "checkbox":
+      return question.options.map((option) => ({
+        label: `${question.text} [${option}]`,
+        value: (answersById) => {
+          const ticked = toList(answerOf(answersById))
+          return ticked ? Number(ticked.includes(option)) : ""
+        },
+      }))
+    case "matrix":
+      return question.rows.map((row, rowIndex) => ({
+        label: `${question.text} - ${row}`,
+        value: (answersById) => {
+          const ratings = answerOf(answersById)
+          return (Array.isArray(ratings) ? ratings[rowIndex] : null) ?? ""
+        },
+      }))
+    case "ranking":
+      return question.options.map((option) => ({
+        label: `${question.text} [${option}]`,
+        value: (answersById) => {
+          const ranking = answerOf(answersById)
+          const rank = Array.isArray(ranking) ? ranking.indexOf(option) + 1 : 0
+          return rank || ""
+        },
+      }))
+    default:
+      return [
+        {
+          label: question.text,
+          value: (answersById) => formatAnswer(answerOf(answersById)) ?? "",
+        },
+      ]
+  }
+}
+
+// Columns of a per-survey export, named after the questions: checkbox questions get one column
+// per option (1 ticked, 0 not ticked), matrix questions one per statement and ranking questions
+// one per option holding its rank. Each column is { label, question, value(answersById) };
+// questions that weren't answered (or weren't shown) are left blank
+export function getSurveyExportColumns(questionSets) {
+  return mergeQuestionVersions(questionSets).flatMap((question) =>
+    questionColumns(question, (answersById) => answersById[question._id]).map((column) => ({ ...column, question })),
+  )
+}
+
+// A response's answers keyed by question id, resolved against the version it was answered against
+function getAnswersById(response, versions) {
+  return Object.fromEntries(
+    getResponseQuestions(response, versions).map((question, index) => [
+      question._id,
+      getAnswer(response.answers, question, index),
+    ]),
+  )
+}
+
+// Write `rows` (an object-mode stream of json2csv rows) to `destination` as CSV, one row at a
+// time, so memory use doesn't grow with the number of responses. Resolves once everything is written
+export function streamCsv(rows, fields, destination) {
+  const csv = new Transform({ fields, excelStrings: true, header: true }, { objectMode: true })
+  return pipeline(rows, csv, destination)
+}
+
+// Responses matching `filter`, read one by one from a cursor
+function readResponses(filter) {
+  // _id order is roughly submission order and uses the default index, so nothing is sorted in memory
+  return Response.find(filter).sort({ _id: 1 }).lean().cursor()
+}
+
+// Responses matching `filter` read one by one from a cursor and turned into rows by `toRow`.
+// `populate` attaches the response's survey the way .populate("surveyId") would
+function streamResponseRows(filter, toRow, populate = (response) => response) {
+  async function* rows() {
+    for await (const response of readResponses(filter)) {
+      yield toRow(populate(response))
+    }
+  }
+  return Readable.from(rows())
+}
+
+// Everything needed to write the responses matching `filter` as they come off the cursor: their
+// surveys and versions, loaded up front, and the most answer columns any of them needs
+// (columns depend only on the questions of the version a response was answered against)
+async function loadExportContext(filter) {
+  const answeredVersions = await Response.aggregate([
+    { $match: filter },
+    { $group: { _id: { surveyId: "$surveyId", surveyVersion: "$surveyVersion" } } },
+  ])
+
+  const surveyIds = [...new Set(answeredVersions.map(({ _id }) => _id.surveyId?.toString()).filter(Boolean))]
+  const surveys = await Survey.find({ _id: { $in: surveyIds } })
+    .select("title questions sections department")
+    .lean()
+  const surveysById = new Map(surveys.map((survey) => [survey._id.toString(), survey]))
+  const versions = await loadResponseVersions(surveyIds.map((surveyId) => ({ surveyId })))
+
+  // Surveys that have since been deleted come back as null, as they would from populate
+  const populate = (response) => ({ ...response, surveyId: surveysById.get(response.surveyId?.toString()) || null })
+
+  const columnCount = Math.max(
+    0,
+    ...answeredVersions.map(({ _id }) => getResponseColumns(populate({ ..._id, answers: {} }), versions).length),
+  )
+
+  return { versions, populate, columnCount }
+}
+
+// Rows for the export of every survey at once, where surveys share generic numbered columns.
+// `toRow(response, versions)` receives responses with their survey populated. Returns
+// { columnCount, rows }: the number of answer columns to declare, and an object-mode stream of rows
+export async function createResponsesExport(filter, toRow) {
+  const { versions, populate, columnCount } = await loadExportContext(filter)
+  return {
+    columnCount,
+    rows: streamResponseRows(filter, (response) => toRow(response, versions), populate),
+  }
+}
+
+// Columns every per-survey export starts with, before the question columns
+export const SURVEY_EXPORT_RESPONSE_LABELS = [
+  "Response ID",
+  "Submitted At (UTC)",
+  "Survey Version",
+  "Department",
+  "Tenure",
+  "Language",
+]
+
+// Export of one survey's responses matching `filter`, one row per response and one column per
+// question (see getSurveyExportColumns). Rows are arrays lined up with `labels`, holding the
+// submission time as a Date. Returns { survey, columns, labels, fields, filename, rows }, where
+// fields, filename and rows are ready for streamCsv, or null if there's no such survey
+export async function createSurveyExport(filter) {
+  const survey = await Survey.findById(filter.surveyId).lean()
+  if (!survey) return null
+
+  const surveyVersions = await SurveyVersion.find({ surveyId: survey._id }).sort({ version: -1 }).lean()
+  const versions = await loadResponseVersions([{ surveyId: survey._id }])
+
+  const questionSets = surveyVersions.length
+    ? surveyVersions.map((version) => version.questions)
+    : [survey.questions]
+  const columns = getSurveyExportColumns(questionSets)
+
+  // Question texts aren't unique, so columns are addressed by position
+  const labels = SURVEY_EXPORT_RESPONSE_LABELS.concat(columns.map((column) => column.label))
+  const fields = labels.map((label, index) => ({
+    label,
+    value: (row) => (row[index] instanceof Date ? row[index].toISOString() : row[index]),
+  }))
+
+  const toRow = (response) => {
+    const answersById = getAnswersById(response, versions)
+    return [
+      response._id.toString(),
+      new Date(response.timestamp),
+      response.surveyVersion || 1,
+      response.department,
+      response.tenure,
+      SURVEY_LANGUAGES[response.language || BASE_LANGUAGE] || response.language,
+      ...columns.map((column) => column.value(answersById)),
+    ]
+  }
+
+  return {
+    survey,
+    columns,
+    labels,
+    filename: `${toFileSlug(survey.title)}-responses.csv`,
+    fields,
+    // Responses still need the survey for their fallback questions
+    rows: streamResponseRows(filter, toRow, (response) => ({ ...response, surveyId: survey })),
+  }
+}
+
+// Columns of the long-format export, one row per response and question
+export const LONG_EXPORT_FIELDS = [
+  "response_id",
+  "survey_id",
+  "survey_title",
+  "survey_version",
+  "department",
+  "tenure",
+  "language",
+  "submitted_at",
+  "question_id",
+  "question_type",
+  "question_text",
+  "item",
+  "value",
+]
+
+// The long-format values of one answer as [item, value] pairs. Checkbox questions get a pair per
+// option (1 ticked, 0 not ticked), matrix questions one per statement answered and ranking
+// questions one per option holding its rank; other questions a single pair with no item
+function longAnswerValues(question, answer) {
+  if (answer === undefined || answer === null || answer === "") return []
+
+  switch (question.type) {
+    case "checkbox": {
+      const ticked = toList(answer)
+      return mergeList(question.options, ticked).map((option) => [option, Number(ticked.includes(option))])
+    }
+    case "matrix":
+      return (question.rows || [])
+        .map((row, rowIndex) => [row, Array.isArray(answer) ? answer[rowIndex] : null])
+        .filter(([, rating]) => rating !== undefined && rating !== null && rating !== "")
+    case "ranking":
+      return Array.isArray(answer) ? answer.map((option, index) => [option, index + 1]) : [["", answer]]
+    default:
+      return [["", formatAnswer(answer)]]
+  }
+}
+
+// Long-format ("tidy") export of the responses matching `filter`: one row per response and
+// answered question, or per option or statement for multi-part questions (see longAnswerValues),
+// across any number of surveys. Questions that weren't answered or shown have no rows.
+// Returns an object-mode stream of rows for streamCsv with LONG_EXPORT_FIELDS
+export async function createLongExport(filter) {
+  const { versions, populate } = await loadExportContext(filter)
+
+  async function* rows() {
+    for await (const stored of readResponses(filter)) {
+      const response = populate(stored)
+      const base = {
+        response_id: response._id.toString(),
+        survey_id: stored.surveyId?.toString() || "",
+        survey_title: response.surveyId?.title || "",
+        survey_version: response.surveyVersion || 1,
+        department: response.department,
+        tenure: response.tenure,
+        language: response.language || BASE_LANGUAGE,
+        submitted_at: new Date(response.timestamp).toISOString(),
+      }
+
+      for (const [index, question] of getResponseQuestions(response, versions).entries()) {
+        for (const [item, value] of longAnswerValues(question, getAnswer(response.answers, question, index))) {
+          yield {
+            ...base,
+            question_id: question._id,
+            question_type: question.type,
+            question_text: question.text,
+            item,
+            value,
+          }
+        }
+      }
+    }
+  }
+
+  return Readable.from(rows())
+}
+
+// Raw response document with the definition of the survey version it was answered against
+// under `survey` (null if the survey has since been deleted). Storage bookkeeping is left out
+function toResponseDocument(stored, versions, populate) {
+  const response = populate(stored)
+  const { __v, pdfGenerated, pdfPath, ...document } = stored
+  const survey = response.surveyId
+  const version = getResponseVersion(response, versions)
+
+  return {
+    ...document,
+    survey: survey && {
+      _id: survey._id,
+      version: response.surveyVersion || 1,
+      title: version?.title || survey.title,
+      sections: getResponseSections(response, versions),
+      questions: getResponseQuestions(response, versions),
+    },
+  }
+}
+
+// Write the responses matching `filter` to `destination` as JSON: a single array, or with
+// `ndjson` one document per line. Documents are written as they come off the cursor
+export async function streamResponseDocuments(filter, destination, { ndjson = false } = {}) {
+  const { versions, populate } = await loadExportContext(filter)
+
+  async function* chunks() {
+    let first = true
+    if (!ndjson) yield "["
+    for await (const stored of readResponses(filter)) {
+      const json = JSON.stringify(toResponseDocument(stored, versions, populate))
+      if (ndjson) {
+        yield `${json}\n`
+      } else {
+        yield `${first ? "" : ","}\n${json}`
+      }
+      first = false
+    }
+    if (!ndjson) yield first ? "]\n" : "\n]\n"
+  }
+
+  await pipeline(Readable.from(chunks(), { objectMode: false }), destination)
+}
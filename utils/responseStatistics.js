@@ -0,0 +1,302 @@
+import archiver from "archiver"
+import { Transform } from "json2csv"
+import { pipeline } from "stream/promises"
+import Department from "../server/models/department.model.js"
+import TenureBand from "../server/models/tenureBand.model.js"
+import Response from "../server/models/response.model.js"
+import { SURVEY_LANGUAGES } from "../server/config/languages.config.js"
+import { MAX_TEXT_LENGTH } from "./responseValidator.js"
+import { toFileSlug } from "./responseExport.js"
+
+// Export of one survey for statistics packages: a numeric-coded CSV, SPSS syntax that reads it
+// and applies variable and value labels, and an R script that does the same with factors,
+// zipped together. Choices are coded by their position in the question's options, from 1.
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+const SCALE_QUESTION_TYPES = ["star", "nps", "slider", "number"]
+const CHECKBOX_LABELS = [
+  [0, "Not selected"],
+  [1, "Selected"],
+]
+
+export function getStatisticsFilename(survey) {
+  return `${toFileSlug(survey.title)}-spss-r.zip`
+}
+
+// 1-based position of `value` in `labels`, or undefined for blanks and values that aren't listed
+function toCode(labels, value) {
+  const code = labels.indexOf(value) + 1
+  return code || undefined
+}
+
+function toNumber(value) {
+  if (value === "" || value === null || value === undefined) return undefined
+  const number = Number(value)
+  return Number.isFinite(number) ? number : undefined
+}
+
+function toText(value) {
+  return value === "" || value === null || value === undefined ? undefined : String(value)
+}
+
+// A coded variable: its values are the 1-based positions of `labels`
+function codedVariable(name, label, labels, measure) {
+  return {
+    name,
+    label,
+    type: "numeric",
+    measure,
+    valueLabels: labels.map((text, index) => [index + 1, text]),
+    value: (answer) => toCode(labels, answer),
+  }
+}
+
+// Variable for one column of the per-survey export (see getSurveyExportColumns)
+function answerVariable(name, column) {
+  const { question } = column
+  switch (question.type) {
+    case "radio":
+    case "dropdown":
+      return codedVariable(name, column.label, question.options, "nominal")
+    case "matrix":
+      return codedVariable(name, column.label, question.options, "ordinal")
+    case "checkbox":
+      return {
+        name,
+        label: column.label,
+        type: "numeric",
+        measure: "nominal",
+        valueLabels: CHECKBOX_LABELS,
+        value: toNumber,
+      }
+    case "ranking":
+      return { name, label: column.label, type: "numeric", measure: "ordinal", valueLabels: [], value: toNumber }
+    case "date":
+      return {
+        name,
+        label: column.label,
+        type: "date",
+        measure: "scale",
+        valueLabels: [],
+        value: (answer) => (DATE_PATTERN.test(answer) ? answer : undefined),
+      }
+    default:
+      if (SCALE_QUESTION_TYPES.includes(question.type)) {
+        return { name, label: column.label, type: "numeric", measure: "scale", valueLabels: [], value: toNumber }
+      }
+      return {
+        name,
+        label: column.label,
+        type: "text",
+        width: MAX_TEXT_LENGTH,
+        measure: "nominal",
+        valueLabels: [],
+        value: toText,
+      }
+  }
+}
+
+// Variables of the export, lined up with the rows of the per-survey export. Questions are
+// numbered in export order (Q1, Q2, ...); questions with several columns get Q1_1, Q1_2, ...
+async function getVariables(surveyExport, filter) {
+  const [departments, tenureBands, usedDepartments, usedTenures] = await Promise.all([
+    Department.find({}).sort({ order: 1, name: 1 }).lean(),
+    TenureBand.find({}).sort({ order: 1, name: 1 }).lean(),
+    Response.distinct("department", filter),
+    Response.distinct("tenure", filter),
+  ])
+
+  // Managed lists first, in their order, then anything since removed from them
+  const departmentNames = departments.map((department) => department.name)
+  departmentNames.push(...usedDepartments.filter((name) => name && !departmentNames.includes(name)))
+  const bandNames = tenureBands.map((band) => band.name)
+  const bandLabels = tenureBands.map((band) => band.label || band.name)
+  usedTenures
+    .filter((name) => name && !bandNames.includes(name))
+    .forEach((name) => {
+      bandNames.push(name)
+      bandLabels.push(name)
+    })
+
+  const languageNames = Object.values(SURVEY_LANGUAGES)
+
+  const responseVariables = [
+    {
+      name: "response_id",
+      label: "Response ID",
+      type: "text",
+      width: 24,
+      measure: "nominal",
+      valueLabels: [],
+      value: toText,
+    },
+    {
+      name: "submitted_at",
+      label: "Submitted at (UTC)",
+      type: "datetime",
+      measure: "scale",
+      valueLabels: [],
+      value: (date) => date.toISOString().slice(0, 19).replace("T", " "),
+    },
+    {
+      name: "survey_version",
+      label: "Survey version",
+      type: "numeric",
+      measure: "nominal",
+      valueLabels: [],
+      value: toNumber,
+    },
+    codedVariable("department", "Department", departmentNames, "nominal"),
+    {
+      ...codedVariable("tenure", "Tenure", bandLabels, "ordinal"),
+      value: (tenure) => toCode(bandNames, tenure),
+    },
+    codedVariable("language", "Language", languageNames, "nominal"),
+  ]
+
+  const questions = [...new Set(surveyExport.columns.map((column) => column.question))]
+  const answerVariables = surveyExport.columns.map((column) => {
+    const number = questions.indexOf(column.question) + 1
+    const siblings = surveyExport.columns.filter((other) => other.question === column.question)
+    const name = siblings.length > 1 ? `Q${number}_${siblings.indexOf(column) + 1}` : `Q${number}`
+    return answerVariable(name, column)
+  })
+
+  return [...responseVariables, ...answerVariables]
+}
+
+// SPSS quotes strings with apostrophes, doubled inside; labels are kept to one line
+function spssString(text) {
+  return `'${String(text).replace(/\s+/g, " ").replace(/'/g, "''")}'`
+}
+
+function spssFormat(variable) {
+  switch (variable.type) {
+    case "text":
+      return `A${variable.width}`
+    case "date":
+      return "SDATE10"
+    case "datetime":
+      return "YMDHMS19"
+    default:
+      return variable.measure === "scale" ? "F10.2" : "F4.0"
+  }
+}
+
+function writeSpssSyntax(survey, variables, dataFilename) {
+  const lines = [
+    `* SPSS syntax for "${survey.title.replace(/\s+/g, " ")}", exported ${new Date().toISOString()}.`,
+    `* Put ${dataFilename} in the working directory, or give its full path below, then run all.`,
+    "",
+    "GET DATA",
+    "  /TYPE=TXT",
+    `  /FILE=${spssString(dataFilename)}`,
+    "  /ENCODING='UTF8'",
+    "  /ARRANGEMENT=DELIMITED",
+    "  /DELIMITERS=','",
+    `  /QUALIFIER='"'`,
+    "  /FIRSTCASE=2",
+    "  /VARIABLES=",
+    ...variables.map((variable) => `    ${variable.name} ${spssFormat(variable)}`),
+    ".",
+    "",
+    "VARIABLE LABELS",
+    ...variables.map((variable, index) => `  ${index ? "/" : ""}${variable.name} ${spssString(variable.label)}`),
+    ".",
+  ]
+
+  const labelled = variables.filter((variable) => variable.valueLabels.length)
+  if (labelled.length) {
+    lines.push("", "VALUE LABELS")
+    labelled.forEach((variable, index) => {
+      lines.push(`  ${index ? "/" : ""}${variable.name}`)
+      variable.valueLabels.forEach(([code, label]) => lines.push(`    ${code} ${spssString(label)}`))
+    })
+    lines.push(".")
+  }
+
+  const levels = ["nominal", "ordinal", "scale"]
+    .map((measure) => [measure, variables.filter((variable) => variable.measure === measure)])
+    .filter(([, members]) => members.length)
+  lines.push(
+    "",
+    "VARIABLE LEVEL",
+    ...levels.map(
+      ([measure, members], index) =>
+        `  ${index ? "/" : ""}${members.map((variable) => variable.name).join(" ")} (${measure.toUpperCase()})`,
+    ),
+    ".",
+    "",
+    "EXECUTE.",
+    "",
+  )
+
+  return lines.join("\r\n")
+}
+
+// JSON string literals are valid R string literals
+const rString = (text) => JSON.stringify(String(text))
+
+function writeRScript(survey, variables, dataFilename) {
+  const column = (variable) => `responses$${variable.name}`
+  const lines = [
+    `# R script for ${rString(survey.title.replace(/\s+/g, " "))}, exported ${new Date().toISOString()}.`,
+    `# Put ${dataFilename} in the working directory, or give its full path below, then source() this file.`,
+    "",
+    `responses <- read.csv(${rString(dataFilename)}, fileEncoding = "UTF-8", stringsAsFactors = FALSE, na.strings = "")`,
+    "",
+  ]
+
+  variables.forEach((variable) => {
+    if (variable.type === "date") {
+      lines.push(`${column(variable)} <- as.Date(${column(variable)})`)
+    } else if (variable.type === "datetime") {
+      lines.push(`${column(variable)} <- as.POSIXct(${column(variable)}, tz = "UTC")`)
+    } else if (variable.type === "text") {
+      lines.push(`${column(variable)} <- as.character(${column(variable)})`)
+    } else if (variable.valueLabels.length) {
+      const codes = variable.valueLabels.map(([code]) => code).join(", ")
+      const labels = variable.valueLabels.map(([, label]) => rString(label)).join(", ")
+      const ordered = variable.measure === "ordinal" ? ", ordered = TRUE" : ""
+      lines.push(
+        `${column(variable)} <- factor(${column(variable)}, levels = c(${codes}), labels = c(${labels})${ordered})`,
+      )
+    }
+  })
+
+  // Set after the conversions above, which drop attributes
+  lines.push("", "# Variable labels, as read by packages such as labelled and Hmisc")
+  variables.forEach((variable) => {
+    lines.push(`attr(${column(variable)}, "label") <- ${rString(variable.label)}`)
+  })
+  lines.push("")
+
+  return lines.join("\n")
+}
+
+// Write the statistics export of one survey (see createSurveyExport) to `destination` as a zip.
+// The data file is written as responses are read, so memory stays flat for large surveys
+export async function writeStatisticsBundle(surveyExport, filter, destination) {
+  const variables = await getVariables(surveyExport, filter)
+  const slug = toFileSlug(surveyExport.survey.title)
+  const dataFilename = `${slug}.csv`
+
+  // Plain CSV: statistics packages would read Excel-style ="..." strings literally
+  const fields = variables.map((variable, index) => ({
+    label: variable.name,
+    value: (row) => variable.value(row[index]),
+  }))
+  const csv = new Transform({ fields, header: true }, { objectMode: true })
+  const archive = archiver("zip")
+  // The archive doesn't watch what's appended to it, so a failed read has to stop it
+  const abort = (error) => archive.destroy(error)
+  surveyExport.rows.on("error", abort)
+  csv.on("error", abort)
+
+  archive.append(surveyExport.rows.pipe(csv), { name: dataFilename })
+  archive.append(writeSpssSyntax(surveyExport.survey, variables, dataFilename), { name: `${slug}.sps` })
+  archive.append(writeRScript(surveyExport.survey, variables, dataFilename), { name: `${slug}.R` })
+  archive.finalize()
+
+  await pipeline(archive, destination)
+}
@@ -0,0 +1,213 @@
+import { getVisibleQuestionIds } from "./surveyRules.js"
+
+export const MAX_TEXT_LENGTH = 5000
+
+// Questions saved without an explicit flag keep the old behaviour: all but checkboxes are required
+export function isQuestionRequired(question) {
+  return question.required ?? question.type !== "checkbox"
+}
+
+function isBlank(value) {
+  return value === undefined || value === null || String(value).trim() === ""
+}
+
+// Matrix answers count as answered once any statement has been rated
+function isAnswered(answer) {
+  if (Array.isArray(answer)) return answer.some((value) => !isBlank(value))
+  return !isBlank(answer)
+}
+
+// Numeric answer as a number, or null if it isn't one
+function toNumber(answer) {
+  if (typeof answer === "string" && answer.trim() === "") return null
+  const number = Number(answer)
+  return Number.isFinite(number) ? number : null
+}
+
+// Bounds shared by slider and number questions; bounds left unset aren't checked
+function checkRange(question, number) {
+  if (question.min != null && number < question.min) return `Answer must be at least ${question.min}`
+  if (question.max != null && number > question.max) return `Answer must be at most ${question.max}`
+  if (question.step) {
+    const steps = (number - (question.min ?? 0)) / question.step
+    if (Math.abs(steps - Math.round(steps)) > 1e-9) return `Answer must be in steps of ${question.step}`
+  }
+  return null
+}
+
+// Check one answer against its question's type and options. Returns the
+// normalised value to store, or an error message
+function normalizeAnswer(question, answer) {
+  switch (question.type) {
+    case "text": {
+      if (typeof answer !== "string") return { error: "Answer must be text" }
+      if (answer.length > MAX_TEXT_LENGTH) return { error: `Answer must be at most ${MAX_TEXT_LENGTH} characters` }
+      return { value: answer.trim() }
+    }
+    case "radio":
+    case "dropdown": {
+      if (!question.options.includes(answer)) return { error: `"${answer}" is not one of the options` }
+      return { value: answer }
+    }
+    case "checkbox": {
+      // Older clients sent checkbox answers comma-joined
+      const values = Array.isArray(answer) ? answer : String(answer).split(", ")
+      const invalid = values.filter((value) => !question.options.includes(value))
+      if (invalid.length > 0) return { error: `Not valid options: ${invalid.join(", ")}` }
+      return { value: [...new Set(values)] }
+    }
+    case "star": {
+      const stars = Number(answer)
+      if (!Number.isInteger(stars) || stars < 1 || stars > 5) return { error: "Rating must be a whole number from 1 to 5" }
+      return { value: stars }
+    }
+    case "nps": {
+      const score = Number(answer)
+      if (!Number.isInteger(score) || score < 0 || score > 10) return { error: "Score must be a whole number from 0 to 10" }
+      return { value: score }
+    }
+    case "slider":
+    case "number": {
+      const number = toNumber(answer)
+      if (number === null) return { error: "Answer must be a number" }
+      const rangeError = checkRange(question, number)
+      return rangeError ? { error: rangeError } : { value: number }
+    }
+    case "date": {
+      // Calendar dates only (YYYY-MM-DD), as sent by date inputs
+      const value = String(answer)
+      const date = new Date(`${value}T00:00:00Z`)
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== value) {
+        return { error: "Answer must be a date (YYYY-MM-DD)" }
+      }
+      return { value }
+    }
+    case "matrix": {
+      // One rating per statement, in statement order; skipped statements are null
+      if (!Array.isArray(answer) || answer.length !== question.rows.length) {
+        return { error: `Expected one answer for each of the ${question.rows.length} statements` }
+      }
+      const values = answer.map((value) => (isBlank(value) ? null : value))
+      const invalid = values.filter((value) => value !== null && !question.options.includes(value))
+      if (invalid.length > 0) return { error: `Not valid options: ${invalid.join(", ")}` }
+      if (isQuestionRequired(question) && values.includes(null)) return { error: "Please rate every statement" }
+      return { value: values }
+    }
+    case "ranking": {
+      // Every option, most preferred first
+      if (
+        !Array.isArray(answer) ||
+        answer.length !== question.options.length ||
+        !question.options.every((option) => answer.includes(option))
+      ) {
+        return { error: "Please rank every option exactly once" }
+      }
+      return { value: [...answer] }
+    }
+    default:
+      return { error: `Unsupported question type "${question.type}"` }
+  }
+}
+
+// Whether `order` lists exactly the values of `expected`, each once
+function isPermutation(order, expected) {
+  return (
+    Array.isArray(order) &&
+    order.length === expected.length &&
+    new Set(order).size === order.length &&
+    expected.every((value) => order.includes(value))
+  )
+}
+
+// Check the display order a participant reports for a survey that shuffles questions or
+// options. Only the parts the survey shuffles are kept; older clients send none at all.
+// Returns { value } (undefined when there is nothing to record) or { error }
+function checkDisplayOrder(survey, questions, displayOrder) {
+  if (displayOrder === undefined || displayOrder === null) return { value: undefined }
+  if (typeof displayOrder !== "object" || Array.isArray(displayOrder)) {
+    return { error: "Display order must be an object" }
+  }
+
+  const value = {}
+
+  if (survey.shuffleQuestions && displayOrder.questions !== undefined) {
+    if (!isPermutation(displayOrder.questions, questions.map((question) => question._id))) {
+      return { error: "Question order must list every question once" }
+    }
+    value.questions = displayOrder.questions
+  }
+
+  const optionOrders = displayOrder.options || {}
+  if (typeof optionOrders !== "object" || Array.isArray(optionOrders)) {
+    return { error: "Option order must be an object keyed by question id" }
+  }
+  for (const question of questions.filter((q) => q.shuffleOptions && optionOrders[q._id] !== undefined)) {
+    const order = optionOrders[question._id]
+    if (!isPermutation(order, question.options)) {
+      return { error: `Option order for "${question.text}" must list every option once` }
+    }
+    // Pinned options are never shuffled
+    const pinned = question.pinnedOptions || []
+    if (pinned.some((option, index) => order[order.length - pinned.length + index] !== option)) {
+      return { error: `Option order for "${question.text}" must end with ${pinned.join(", ")}` }
+    }
+    value.options = { ...value.options, [question._id]: order }
+  }
+
+  return { value: Object.keys(value).length > 0 ? value : undefined }
+}
+
+// Validate a submission against the survey and the questions it was answered against.
+// Returns the normalised answers to store (hidden questions dropped), the display order
+// to record, and a list of errors, each with either a questionId or a field name
+export function validateResponse({ survey, questions, answers, displayOrder, participant = {} }) {
+  const errors = []
+
+  if (!answers || typeof answers !== "object" || Array.isArray(answers)) {
+    return { answers: {}, errors: [{ field: "answers", message: "Answers must be an object keyed by question id" }] }
+  }
+
+  // survey.department is only a display label once a survey targets several departments
+  const departments = survey.departments?.length ? survey.departments : [survey.department]
+  if (!survey.isAllDepartments && !departments.includes(participant.department)) {
+    errors.push({ field: "department", message: `This survey is not available to the ${participant.department} department` })
+  }
+  if (!participant.tenure) {
+    errors.push({ field: "tenure", message: "Tenure is required" })
+  }
+
+  const questionIds = new Set(questions.map((q) => q._id))
+  Object.keys(answers)
+    .filter((key) => !questionIds.has(key))
+    .forEach((key) => errors.push({ questionId: key, message: "Unknown question" }))
+
+  const visibleIds = getVisibleQuestionIds(questions, answers, participant)
+  const normalizedAnswers = {}
+
+  questions.forEach((question) => {
+    // Answers to questions hidden by display rules are dropped, not rejected
+    if (!visibleIds.has(question._id)) return
+
+    const answer = answers[question._id]
+    if (!isAnswered(answer)) {
+      if (isQuestionRequired(question)) {
+        errors.push({ questionId: question._id, question: question.text, message: "This question is required" })
+      }
+      return
+    }
+
+    const { value, error } = normalizeAnswer(question, answer)
+    if (error) {
+      errors.push({ questionId: question._id, question: question.text, message: error })
+    } else {
+      normalizedAnswers[question._id] = value
+    }
+  })
+
+  const order = checkDisplayOrder(survey, questions, displayOrder)
+  if (order.error) {
+    errors.push({ field: "displayOrder", message: order.error })
+  }
+
+  return { answers: normalizedAnswers, displayOrder: order.value, errors }
+}
@@ -0,0 +1,236 @@
+import ExcelJS from "exceljs"
+import Department from "../server/models/department.model.js"
+import TenureBand from "../server/models/tenureBand.model.js"
+import Response from "../server/models/response.model.js"
+import { isQuestionRequired } from "./responseValidator.js"
+import { SURVEY_EXPORT_RESPONSE_LABELS, toFileSlug } from "./responseExport.js"
+
+// Excel version of the per-survey export: a "Responses" sheet with typed cells, a "Codebook"
+// describing every question and a "Summary" of response counts by department and tenure.
+
+export const XLSX_CONTENT_TYPE = "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+
+const NUMERIC_QUESTION_TYPES = ["star", "nps", "slider", "number"]
+const DATE_FORMAT = "yyyy-mm-dd"
+const DATE_TIME_FORMAT = "yyyy-mm-dd hh:mm:ss"
+
+export function getWorkbookFilename(survey) {
+  return `${toFileSlug(survey.title)}-responses.xlsx`
+}
+
+// Cell value for an answer column: numbers for ratings and numeric answers, dates for date
+// questions and empty cells for questions that weren't answered
+function toCellValue(question, value) {
+  if (value === "" || value === null || value === undefined) return null
+  if (NUMERIC_QUESTION_TYPES.includes(question.type)) {
+    const number = Number(value)
+    return Number.isFinite(number) ? number : value
+  }
+  if (question.type === "date" && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return new Date(`${value}T00:00:00Z`)
+  }
+  return value
+}
+
+// How a question's answers are coded in the Responses sheet
+function describeValues(question) {
+  switch (question.type) {
+    case "checkbox":
+      return "One column per option: 1 = selected, 0 = not selected"
+    case "ranking":
+      return "One column per option: its rank, 1 = ranked first"
+    case "matrix":
+      return "One column per statement: the option chosen"
+    case "radio":
+    case "dropdown":
+      return "The option chosen"
+    case "star":
+      return "1 to 5 stars"
+    case "nps":
+      return "0 (not at all likely) to 10 (extremely likely)"
+    case "slider":
+    case "number": {
+      const range = `${question.min ?? "any"} to ${question.max ?? "any"}`
+      return question.step ? `${range}, in steps of ${question.step}` : range
+    }
+    case "date":
+      return "Date"
+    default:
+      return "Free text"
+  }
+}
+
+// Filters applied to the export, as text for the summary sheet
+function describeFilter(filter) {
+  const parts = []
+  if (filter.department) parts.push(`Department: ${filter.department}`)
+  if (filter.tenure) parts.push(`Tenure: ${filter.tenure}`)
+  if (filter.timestamp?.$gte) parts.push(`From: ${filter.timestamp.$gte.toDateString()}`)
+  if (filter.timestamp?.$lt) {
+    const lastDay = new Date(filter.timestamp.$lt)
+    lastDay.setDate(lastDay.getDate() - 1)
+    parts.push(`To: ${lastDay.toDateString()}`)
+  }
+  return parts.join(", ") || "None"
+}
+
+function addHeaderRow(sheet, values) {
+  const row = sheet.addRow(values)
+  row.font = { bold: true }
+  row.commit()
+}
+
+async function writeResponsesSheet(workbook, surveyExport) {
+  const { labels, columns, rows } = surveyExport
+  const sheet = workbook.addWorksheet("Responses", { views: [{ state: "frozen", ySplit: 1 }] })
+  sheet.columns = labels.map((label) => ({ width: Math.min(Math.max(label.length + 2, 12), 50) }))
+  addHeaderRow(sheet, labels)
+
+  const answerStart = SURVEY_EXPORT_RESPONSE_LABELS.length
+  for await (const values of rows) {
+    const cells = values.map((value, index) =>
+      index < answerStart ? value : toCellValue(columns[index - answerStart].question, value),
+    )
+    const row = sheet.addRow(cells)
+    row.eachCell((cell) => {
+      if (cell.value instanceof Date) {
+        cell.numFmt = cell.col === 2 ? DATE_TIME_FORMAT : DATE_FORMAT
+      }
+    })
+    row.commit()
+  }
+
+  sheet.commit()
+}
+
+function writeCodebookSheet(workbook, surveyExport) {
+  const { survey, columns } = surveyExport
+  const sheet = workbook.addWorksheet("Codebook", { views: [{ state: "frozen", ySplit: 1 }] })
+  sheet.columns = [
+    { width: 18 },
+    { width: 50 },
+    { width: 12 },
+    { width: 24 },
+    { width: 10 },
+    { width: 50 },
+    { width: 50 },
+    { width: 45 },
+    { width: 60 },
+  ]
+  addHeaderRow(sheet, [
+    "Question ID",
+    "Question",
+    "Type",
+    "Section",
+    "Required",
+    "Options",
+    "Statements",
+    "Values",
+    "Columns in Responses",
+  ])
+
+  const sectionTitles = new Map((survey.sections || []).map((section) => [section._id, section.title]))
+  const questions = [...new Set(columns.map((column) => column.question))]
+  questions.forEach((question) => {
+    sheet
+      .addRow([
+        question._id,
+        question.text,
+        question.type,
+        sectionTitles.get(question.sectionId) || "",
+        isQuestionRequired(question) ? "Yes" : "No",
+        question.options.join("\n"),
+        question.rows.join("\n"),
+        describeValues(question),
+        columns
+          .filter((column) => column.question === question)
+          .map((column) => column.label)
+          .join("\n"),
+      ])
+      .commit()
+  })
+
+  sheet.commit()
+}
+
+// Response counts with departments down the side and tenure bands across, in the managed order
+async function writeSummarySheet(workbook, surveyExport, filter) {
+  const [counts, departments, tenureBands] = await Promise.all([
+    Response.aggregate([
+      { $match: filter },
+      { $group: { _id: { department: "$department", tenure: "$tenure" }, count: { $sum: 1 } } },
+    ]),
+    Department.find({}).sort({ order: 1, name: 1 }).lean(),
+    TenureBand.find({}).sort({ order: 1, name: 1 }).lean(),
+  ])
+
+  // Responses saved without a department or tenure are counted with the empty ones, under "Unknown"
+  counts.forEach(({ _id }) => {
+    _id.department ??= ""
+    _id.tenure ??= ""
+  })
+
+  // Leave department or tenure undefined to count across all of them
+  const countOf = (department, tenure) =>
+    counts
+      .filter(
+        ({ _id }) =>
+          (department === undefined || _id.department === department) &&
+          (tenure === undefined || _id.tenure === tenure),
+      )
+      .reduce((total, { count }) => total + count, 0)
+
+  // Only the departments and bands that have responses, plus any no longer in the managed lists
+  const usedDepartments = new Set(counts.map(({ _id }) => _id.department))
+  const usedTenures = new Set(counts.map(({ _id }) => _id.tenure))
+  const departmentNames = [
+    ...departments.map((department) => department.name).filter((name) => usedDepartments.has(name)),
+    ...[...usedDepartments].filter((name) => !departments.some((department) => department.name === name)),
+  ]
+  const bands = [
+    ...tenureBands.filter((band) => usedTenures.has(band.name)),
+    ...[...usedTenures]
+      .filter((name) => !tenureBands.some((band) => band.name === name))
+      .map((name) => ({ name, label: name || "Unknown" })),
+  ]
+
+  const sheet = workbook.addWorksheet("Summary")
+  sheet.columns = [{ width: 28 }, ...bands.map(() => ({ width: 18 })), { width: 12 }]
+
+  sheet.addRow(["Survey", surveyExport.survey.title]).commit()
+  sheet.addRow(["Filters", describeFilter(filter)]).commit()
+  sheet.addRow(["Responses", countOf()]).commit()
+  const exportedAt = sheet.addRow(["Exported at (UTC)", new Date()])
+  exportedAt.getCell(2).numFmt = DATE_TIME_FORMAT
+  exportedAt.commit()
+  sheet.addRow([]).commit()
+
+  addHeaderRow(sheet, ["Department", ...bands.map((band) => band.label || band.name), "Total"])
+  departmentNames.forEach((department) => {
+    sheet
+      .addRow([
+        department || "Unknown",
+        ...bands.map((band) => countOf(department, band.name)),
+        countOf(department),
+      ])
+      .commit()
+  })
+  const totals = sheet.addRow(["Total", ...bands.map((band) => countOf(undefined, band.name)), countOf()])
+  totals.font = { bold: true }
+  totals.commit()
+
+  sheet.commit()
+}
+
+// Write the workbook for a per-survey export (see createSurveyExport) to `destination`.
+// Response rows are written as they are read, so memory stays flat for large surveys
+export async function writeSurveyWorkbook(surveyExport, filter, destination) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: destination, useStyles: true })
+  workbook.created = new Date()
+
+  await writeResponsesSheet(workbook, surveyExport)
+  writeCodebookSheet(workbook, surveyExport)
+  await writeSummarySheet(workbook, surveyExport, filter)
+
+  await workbook.commit()
+}
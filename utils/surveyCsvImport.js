@@ -0,0 +1,179 @@
+import { Readable } from "stream"
+import csv from "csv-parser"
+import Survey, {
+  OPTION_QUESTION_TYPES,
+  RANGE_QUESTION_TYPES,
+  generateQuestionId,
+  generateSectionId,
+} from "../server/models/survey.model.js"
+
+// Turns a spreadsheet with one question per row into a draft survey for the builder.
+// Columns (header names are case-insensitive): text, type, options, required, section,
+// plus rows for matrix statements and min/max/step for slider and number questions.
+
+export const DEFAULT_OPTION_DELIMITER = "|"
+
+const QUESTION_TYPES = Survey.schema.path("questions").schema.path("type").enumValues
+
+// Builder labels and common spellings people use in spreadsheets
+const TYPE_ALIASES = {
+  "multiple choice": "radio",
+  "single choice": "radio",
+  checkboxes: "checkbox",
+  "star rating": "star",
+  stars: "star",
+  rating: "star",
+  enps: "nps",
+  "enps (0-10)": "nps",
+  "likert matrix": "matrix",
+  likert: "matrix",
+  select: "dropdown",
+  numeric: "number",
+  rank: "ranking",
+  "free text": "text",
+}
+
+const HEADER_ALIASES = {
+  question: "text",
+  "question text": "text",
+  "question type": "type",
+  choices: "options",
+  mandatory: "required",
+  page: "section",
+  statements: "rows",
+}
+
+const YES = ["yes", "y", "true", "1"]
+const NO = ["no", "n", "false", "0"]
+
+function parseType(value) {
+  const type = value.trim().toLowerCase()
+  if (QUESTION_TYPES.includes(type)) return type
+  return TYPE_ALIASES[type]
+}
+
+function splitList(value, delimiter) {
+  return (value || "")
+    .split(delimiter)
+    .map((item) => item.trim())
+    .filter(Boolean)
+}
+
+function readRows(text) {
+  return new Promise((resolve, reject) => {
+    const rows = []
+    Readable.from([text.replace(/^\uFEFF/, "")])
+      .pipe(
+        csv({
+          mapHeaders: ({ header }) => {
+            const name = header.trim().toLowerCase()
+            return HEADER_ALIASES[name] || name
+          },
+          mapValues: ({ value }) => value.trim(),
+        }),
+      )
+      .on("data", (row) => rows.push(row))
+      .on("end", () => resolve(rows))
+      .on("error", reject)
+  })
+}
+
+// Schema errors for a single question, e.g. "Dropdown, matrix and ranking questions need at least 2 options"
+function validateQuestion(question) {
+  // Validated on its own, so leave out the section the stand-in survey doesn't have
+  const standalone = { ...question, sectionId: null }
+  // Only the questions path: the department and tenure validators are async and would query the database
+  const survey = new Survey({ title: "preview", department: "preview", questions: [standalone] })
+  const result = survey.validateSync(["questions"])
+  return Object.entries(result?.errors || {})
+    .filter(([path]) => path.startsWith("questions.0."))
+    .map(([, error]) => error.message)
+}
+
+// Returns { sections, questions, errors } where errors are [{ row, message }] using spreadsheet
+// row numbers (the header is row 1). Rows without usable text or type are left out of the
+// preview; other problems are reported but the question is kept so it can be fixed in the builder
+export async function parseSurveyCsv(text, { delimiter = DEFAULT_OPTION_DELIMITER } = {}) {
+  const rows = await readRows(text)
+  const sections = []
+  const questions = []
+  const errors = []
+
+  if (rows.length > 0 && !Object.hasOwn(rows[0], "text")) {
+    errors.push({ row: 1, message: 'Missing a "text" column' })
+    return { sections, questions, errors }
+  }
+
+  rows.forEach((row, index) => {
+    const rowNumber = index + 2
+    const report = (message) => errors.push({ row: rowNumber, message })
+
+    // Blank lines in the spreadsheet
+    if (Object.values(row).every((value) => !value)) return
+
+    if (!row.text) {
+      report("Question text is missing")
+      return
+    }
+
+    const type = parseType(row.type || "text")
+    if (!type) {
+      report(`Unknown question type "${row.type}". Use one of: ${QUESTION_TYPES.join(", ")}`)
+      return
+    }
+
+    const question = { _id: generateQuestionId(), text: row.text, type }
+
+    if (OPTION_QUESTION_TYPES.includes(type)) {
+      question.options = splitList(row.options, delimiter)
+      if (question.options.length < 2) {
+        report(`"${type}" questions need at least 2 options separated by "${delimiter}"`)
+      }
+    }
+    if (type === "matrix") {
+      question.rows = splitList(row.rows, delimiter)
+    }
+    if (RANGE_QUESTION_TYPES.includes(type)) {
+      for (const field of ["min", "max", "step"]) {
+        if (!row[field]) continue
+        const value = Number(row[field])
+        if (Number.isFinite(value)) {
+          question[field] = value
+        } else {
+          report(`${field} must be a number`)
+        }
+      }
+    }
+
+    const required = (row.required || "").toLowerCase()
+    if (YES.includes(required)) {
+      question.required = true
+    } else if (NO.includes(required)) {
+      question.required = false
+    } else if (required) {
+      report(`required must be yes or no, not "${row.required}"`)
+    }
+
+    if (row.section) {
+      let section = sections.find((existing) => existing.title.toLowerCase() === row.section.toLowerCase())
+      if (!section) {
+        section = { _id: generateSectionId(), title: row.section }
+        sections.push(section)
+      }
+      question.sectionId = section._id
+    }
+
+    // The option count was already reported with the delimiter hint
+    validateQuestion(question)
+      .filter((message) => !(question.options?.length < 2 && message.includes("at least 2 options")))
+      .forEach(report)
+
+    questions.push(question)
+  })
+
+  if (questions.length === 0 && errors.length === 0) {
+    errors.push({ row: 1, message: "The file has no questions" })
+  }
+
+  return { sections, questions, errors }
+}
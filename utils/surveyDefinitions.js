@@ -0,0 +1,124 @@
+// Portable JSON documents describing a survey, used to move surveys between deployments
+// and to keep their definitions in version control. Responses, schedules and version
+// history stay behind; question and section ids are kept so exports diff cleanly.
+
+export const SURVEY_DEFINITION_FORMAT = "kisna-survey-definition"
+// Bump when the document layout changes, and keep reading older versions in readSurveyDefinition
+export const SURVEY_DEFINITION_VERSION = 2
+
+const QUESTION_FIELDS = [
+  "_id",
+  "text",
+  "type",
+  "options",
+  "rows",
+  "min",
+  "max",
+  "step",
+  "required",
+  "shuffleOptions",
+  "pinnedOptions",
+  "showIf",
+  "sectionId",
+]
+const TRANSLATED_SECTION_FIELDS = ["sectionId", "title", "intro"]
+const TRANSLATED_QUESTION_FIELDS = ["questionId", "text", "options", "rows"]
+
+function pick(source, fields) {
+  const picked = {}
+  fields.forEach((field) => {
+    const value = source[field]
+    if (value === undefined || value === null || (Array.isArray(value) && value.length === 0)) return
+    picked[field] = value
+  })
+  return picked
+}
+
+// Survey document -> definition document
+export function toSurveyDefinition(survey) {
+  const content = typeof survey.toObject === "function" ? survey.toObject() : survey
+
+  return {
+    format: SURVEY_DEFINITION_FORMAT,
+    formatVersion: SURVEY_DEFINITION_VERSION,
+    exportedAt: new Date().toISOString(),
+    sourceVersion: content.version,
+    survey: {
+      title: content.title,
+      color: content.color,
+      departments: content.isAllDepartments ? [] : content.departments || [],
+      tenures: content.tenures || [],
+      isAllDepartments: Boolean(content.isAllDepartments),
+      shuffleQuestions: Boolean(content.shuffleQuestions),
+      requireParticipationToken: Boolean(content.requireParticipationToken),
+      sections: (content.sections || []).map((section) => pick(section, ["_id", "title", "intro"])),
+      questions: (content.questions || []).map((question) => {
+        const picked = pick(question, QUESTION_FIELDS)
+        if (!question.showIf?.conditions?.length) delete picked.showIf
+        return picked
+      }),
+      translations: (content.translations || []).map((translation) => ({
+        language: translation.language,
+        title: translation.title,
+        sections: (translation.sections || []).map((entry) => pick(entry, TRANSLATED_SECTION_FIELDS)),
+        questions: (translation.questions || []).map((entry) => pick(entry, TRANSLATED_QUESTION_FIELDS)),
+      })),
+    },
+  }
+}
+
+// Definition document -> survey builder payload, or { error } when the document
+// isn't one we can read. Schema validation happens when the survey is saved
+export function readSurveyDefinition(document) {
+  if (!document || typeof document !== "object" || document.format !== SURVEY_DEFINITION_FORMAT) {
+    return { error: "Not a survey definition file" }
+  }
+  if (!Number.isInteger(document.formatVersion) || document.formatVersion < 1) {
+    return { error: "Survey definition is missing its formatVersion" }
+  }
+  if (document.formatVersion > SURVEY_DEFINITION_VERSION) {
+    return {
+      error: `Survey definition version ${document.formatVersion} is newer than this server supports (${SURVEY_DEFINITION_VERSION})`,
+    }
+  }
+
+  const survey = document.survey
+  if (!survey || typeof survey !== "object") {
+    return { error: "Survey definition has no survey" }
+  }
+  if (!Array.isArray(survey.questions) || survey.questions.length === 0) {
+    return { error: "Survey definition has no questions" }
+  }
+  if (survey.sections !== undefined && !Array.isArray(survey.sections)) {
+    return { error: "Survey definition sections must be a list" }
+  }
+  if (survey.questions.some((question) => !question || typeof question !== "object")) {
+    return { error: "Survey definition questions must be objects" }
+  }
+  if (survey.translations !== undefined && !Array.isArray(survey.translations)) {
+    return { error: "Survey definition translations must be a list" }
+  }
+
+  // Version 1 targeted a single department
+  const departments = document.formatVersion === 1 ? [survey.department].filter(Boolean) : survey.departments
+
+  return {
+    survey: {
+      title: survey.title,
+      color: survey.color,
+      departments: Array.isArray(departments) ? departments.filter((department) => typeof department === "string") : [],
+      tenures: Array.isArray(survey.tenures) ? survey.tenures.filter((tenure) => typeof tenure === "string") : [],
+      isAllDepartments: Boolean(survey.isAllDepartments),
+      shuffleQuestions: Boolean(survey.shuffleQuestions),
+      requireParticipationToken: Boolean(survey.requireParticipationToken),
+      sections: survey.sections || [],
+      questions: survey.questions.map((question) => pick(question, QUESTION_FIELDS)),
+      translations: (survey.translations || []).map((translation) => ({
+        language: translation?.language,
+        title: translation?.title,
+        sections: Array.isArray(translation?.sections) ? translation.sections : [],
+        questions: Array.isArray(translation?.questions) ? translation.questions : [],
+      })),
+    },
+  }
+}
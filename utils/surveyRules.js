@@ -0,0 +1,46 @@
+// Display rules ("show this question only if ...") evaluated against a submission.
+// public/script.js has a browser copy of getVisibleQuestionIds; keep the two in step.
+
+// Answer as a list of values; checkbox answers may arrive as "a, b" strings
+function answerValues(question, answer) {
+  if (answer === undefined || answer === null || answer === "") return []
+  if (Array.isArray(answer)) return answer.map(String)
+  if (question?.type === "checkbox") return String(answer).split(", ")
+  return [String(answer)]
+}
+
+function evaluateCondition(condition, answers, participant, questionsById, visibleIds) {
+  let actual
+  if (condition.source === "tenure") {
+    actual = participant.tenure ? [participant.tenure] : []
+  } else if (condition.source === "department") {
+    actual = participant.department ? [participant.department] : []
+  } else {
+    // Answers to hidden questions don't count
+    const source = questionsById.get(condition.questionId)
+    actual = visibleIds.has(condition.questionId) ? answerValues(source, answers[condition.questionId]) : []
+  }
+
+  const matches = actual.some((value) => condition.values.includes(value))
+  return condition.operator === "notIn" ? !matches : matches
+}
+
+// Ids of the questions that are shown for these answers, evaluated in order so a
+// question depending on a hidden one is hidden too
+export function getVisibleQuestionIds(questions, answers = {}, participant = {}) {
+  const questionsById = new Map(questions.map((q) => [q._id, q]))
+  const visibleIds = new Set()
+
+  questions.forEach((question) => {
+    const conditions = question.showIf?.conditions || []
+    const results = conditions.map((c) => evaluateCondition(c, answers, participant, questionsById, visibleIds))
+    const visible =
+      results.length === 0 || (question.showIf.match === "any" ? results.some(Boolean) : results.every(Boolean))
+
+    if (visible) {
+      visibleIds.add(question._id)
+    }
+  })
+
+  return visibleIds
+}
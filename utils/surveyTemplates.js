@@ -0,0 +1,61 @@
+import { generateQuestionId, generateSectionId } from "../server/models/survey.model.js"
+import SurveyTemplate from "../server/models/surveyTemplate.model.js"
+import { BUILT_IN_TEMPLATES } from "../server/config/surveyTemplates.config.js"
+
+// Copy a survey's (or template's) content with fresh question and section ids, so the copy
+// gets its own answer keys. Display rules, section placement and translations are remapped to the new ids
+export function cloneSurveyContent(source) {
+  const content = typeof source.toObject === "function" ? source.toObject() : source
+
+  const sectionIds = new Map()
+  const sections = (content.sections || []).map(({ _id, title, intro }) => {
+    const id = generateSectionId()
+    sectionIds.set(_id, id)
+    return { _id: id, title, intro }
+  })
+
+  const questionIds = new Map()
+  ;(content.questions || []).forEach((question) => questionIds.set(question._id, generateQuestionId()))
+
+  const questions = (content.questions || []).map(({ _id, showIf, sectionId, ...question }) => {
+    const copy = { ...question, _id: questionIds.get(_id), sectionId: sectionIds.get(sectionId) ?? null }
+    if (showIf?.conditions?.length) {
+      copy.showIf = {
+        match: showIf.match,
+        conditions: showIf.conditions.map((condition) =>
+          condition.source === "question" || !condition.source
+            ? { ...condition, questionId: questionIds.get(condition.questionId) ?? condition.questionId }
+            : { ...condition },
+        ),
+      }
+    }
+    return copy
+  })
+
+  const translations = (content.translations || []).map((translation) => ({
+    language: translation.language,
+    title: translation.title,
+    sections: (translation.sections || [])
+      .filter((entry) => sectionIds.has(entry.sectionId))
+      .map((entry) => ({ ...entry, sectionId: sectionIds.get(entry.sectionId) })),
+    questions: (translation.questions || [])
+      .filter((entry) => questionIds.has(entry.questionId))
+      .map((entry) => ({ ...entry, questionId: questionIds.get(entry.questionId) })),
+  }))
+
+  return { title: content.title, color: content.color, sections, questions, translations }
+}
+
+// Create or refresh the templates that ship with the app
+export async function seedBuiltInTemplates() {
+  for (const template of BUILT_IN_TEMPLATES) {
+    const existing = await SurveyTemplate.findOne({ builtInKey: template.builtInKey })
+    if (existing) {
+      existing.set(template)
+      await existing.save()
+    } else {
+      await SurveyTemplate.create(template)
+    }
+  }
+  return BUILT_IN_TEMPLATES.length
+}
@@ -0,0 +1,107 @@
+import Survey from "../server/models/survey.model.js"
+import SurveyVersion from "../server/models/surveyVersion.model.js"
+
+const versionKey = (surveyId, version) => `${surveyId}:${version}`
+
+// Snapshot the survey's current content as a new immutable version and save the survey
+export async function saveSurveyVersion(survey) {
+  // Validate first so a rejected edit doesn't leave an orphaned version behind
+  await survey.validate()
+
+  const version = (survey.version || 0) + 1
+  await SurveyVersion.create({
+    surveyId: survey._id,
+    version,
+    title: survey.title,
+    color: survey.color,
+    sections: survey.sections.map((section) => section.toObject()),
+    questions: survey.questions.map((question) => question.toObject()),
+  })
+
+  survey.version = version
+  await survey.save()
+  return version
+}
+
+// Surveys created before versioning get their current content recorded as version 1,
+// which is what their existing (unversioned) responses were answered against
+export async function backfillSurveyVersions() {
+  const surveys = await Survey.find({ $or: [{ version: { $exists: false } }, { version: 0 }] })
+  for (const survey of surveys) {
+    await saveSurveyVersion(survey)
+  }
+  return surveys.length
+}
+
+// Load the versions a set of responses were answered against, keyed by "surveyId:version"
+export async function loadResponseVersions(responses) {
+  const surveyIds = [...new Set(responses.map((r) => (r.surveyId?._id || r.surveyId)?.toString()).filter(Boolean))]
+  const versions = await SurveyVersion.find({ surveyId: { $in: surveyIds } }).lean()
+  return new Map(versions.map((v) => [versionKey(v.surveyId, v.version), v]))
+}
+
+// SurveyVersion a response was answered against, if it was recorded
+export function getResponseVersion(response, versions) {
+  const surveyId = response.surveyId?._id || response.surveyId
+  return versions.get(versionKey(surveyId, response.surveyVersion || 1))
+}
+
+// Questions a response was answered against, falling back to the survey's current questions
+export function getResponseQuestions(response, versions) {
+  return getResponseVersion(response, versions)?.questions || response.surveyId?.questions || []
+}
+
+// Sections of the version a response was answered against
+export function getResponseSections(response, versions) {
+  return getResponseVersion(response, versions)?.sections || response.surveyId?.sections || []
+}
+
+// Answer to a question; responses from before versioning were keyed by position (q0, q1, ...)
+export function getAnswer(answers, question, index) {
+  if (!answers) return undefined
+  return answers[question._id] ?? answers[`q${index}`]
+}
+
+// Answer as export text; checkbox answers are stored as arrays
+export function formatAnswer(answer) {
+  return Array.isArray(answer) ? answer.join(", ") : answer
+}
+
+// Export columns for a response: one per question, except matrix questions, which get one
+// per statement. Each column is { section, text, type, answer }; section is the title of the
+// question's section ("" if it has none) and unanswered questions have a null answer
+export function getAnswerColumns(questions, answers, sections = []) {
+  const toCell = (value) => (value === undefined || value === null || value === "" ? null : value)
+  const sectionTitles = new Map(sections.map((section) => [section._id, section.title]))
+
+  return questions.flatMap((question, index) => {
+    const answer = getAnswer(answers, question, index)
+    const section = sectionTitles.get(question.sectionId) || ""
+
+    if (question.type === "matrix") {
+      return (question.rows || []).map((row, rowIndex) => ({
+        section,
+        text: `${question.text} - ${row}`,
+        type: question.type,
+        answer: toCell(Array.isArray(answer) ? answer[rowIndex] : undefined),
+      }))
+    }
+
+    // Rankings are written most preferred first, e.g. "Health > Pension > Gym"
+    if (question.type === "ranking") {
+      const ranking = Array.isArray(answer) ? answer.join(" > ") : answer
+      return [{ section, text: question.text, type: question.type, answer: toCell(ranking) }]
+    }
+
+    return [{ section, text: question.text, type: question.type, answer: toCell(formatAnswer(answer)) }]
+  })
+}
+
+// Export columns for a response, resolved against the version it was answered against
+export function getResponseColumns(response, versions) {
+  return getAnswerColumns(
+    getResponseQuestions(response, versions),
+    response.answers,
+    getResponseSections(response, versions),
+  )
+}